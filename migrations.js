@@ -0,0 +1,578 @@
+// Numbered schema migrations. Each entry is applied once, in order, and recorded
+// in the schema_version table. Never edit a migration that has shipped; add a new one.
+const migrations = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: `
+      CREATE TABLE User (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        type TEXT NOT NULL CHECK(type IN ('passenger', 'driver')),
+        is_available BOOLEAN,
+        balance REAL NOT NULL DEFAULT 0.0
+      );
+      CREATE TABLE RideRequest (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        passenger_id INTEGER NOT NULL,
+        pickup_location TEXT NOT NULL,
+        drop_location TEXT NOT NULL,
+        ride_type TEXT NOT NULL CHECK(ride_type IN ('bike', 'car', 'rickshaw')),
+        payment REAL NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('requested', 'cancelled')),
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (passenger_id) REFERENCES User(id)
+      );
+      CREATE TABLE Ride (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        passenger_id INTEGER NOT NULL,
+        driver_id INTEGER NOT NULL,
+        pickup_location TEXT NOT NULL,
+        drop_location TEXT NOT NULL,
+        ride_type TEXT NOT NULL CHECK(ride_type IN ('bike', 'car', 'rickshaw')),
+        payment REAL NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('accepted', 'in_progress', 'completed', 'cancelled')),
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (passenger_id) REFERENCES User(id),
+        FOREIGN KEY (driver_id) REFERENCES User(id)
+      );
+      CREATE TABLE RideRejection (
+        ride_request_id INTEGER NOT NULL,
+        driver_id INTEGER NOT NULL,
+        PRIMARY KEY (ride_request_id, driver_id),
+        FOREIGN KEY (ride_request_id) REFERENCES RideRequest(id),
+        FOREIGN KEY (driver_id) REFERENCES User(id)
+      );
+      CREATE TABLE Payment (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ride_id INTEGER NOT NULL,
+        driver_id INTEGER NOT NULL,
+        amount REAL NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (ride_id) REFERENCES Ride(id),
+        FOREIGN KEY (driver_id) REFERENCES User(id)
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'ride_coordinates_and_driver_location',
+    up: `
+      ALTER TABLE RideRequest ADD COLUMN pickup_lat REAL;
+      ALTER TABLE RideRequest ADD COLUMN pickup_lng REAL;
+      ALTER TABLE RideRequest ADD COLUMN drop_lat REAL;
+      ALTER TABLE RideRequest ADD COLUMN drop_lng REAL;
+      ALTER TABLE Ride ADD COLUMN pickup_lat REAL;
+      ALTER TABLE Ride ADD COLUMN pickup_lng REAL;
+      ALTER TABLE Ride ADD COLUMN drop_lat REAL;
+      ALTER TABLE Ride ADD COLUMN drop_lng REAL;
+      ALTER TABLE User ADD COLUMN current_lat REAL;
+      ALTER TABLE User ADD COLUMN current_lng REAL;
+      ALTER TABLE User ADD COLUMN location_updated_at TIMESTAMP;
+    `
+  },
+  {
+    version: 3,
+    name: 'fare_estimates',
+    up: `
+      ALTER TABLE RideRequest ADD COLUMN trip_distance_km REAL;
+      ALTER TABLE RideRequest ADD COLUMN trip_duration_minutes INTEGER;
+      ALTER TABLE RideRequest ADD COLUMN surge_multiplier REAL NOT NULL DEFAULT 1.0;
+      ALTER TABLE Ride ADD COLUMN trip_distance_km REAL;
+      ALTER TABLE Ride ADD COLUMN trip_duration_minutes INTEGER;
+      ALTER TABLE Ride ADD COLUMN surge_multiplier REAL NOT NULL DEFAULT 1.0;
+    `
+  },
+  {
+    version: 4,
+    name: 'sessions',
+    up: `
+      CREATE TABLE Session (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        refresh_token_hash TEXT UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES User(id)
+      );
+      CREATE INDEX idx_session_user ON Session(user_id);
+    `
+  },
+  {
+    version: 5,
+    name: 'ride_lifecycle_events',
+    // SQLite cannot alter a CHECK constraint, so RideRequest is rebuilt to allow 'accepted'.
+    up: `
+      CREATE TABLE RideRequest_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        passenger_id INTEGER NOT NULL,
+        pickup_location TEXT NOT NULL,
+        drop_location TEXT NOT NULL,
+        ride_type TEXT NOT NULL CHECK(ride_type IN ('bike', 'car', 'rickshaw')),
+        payment REAL NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('requested', 'accepted', 'cancelled')),
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        pickup_lat REAL,
+        pickup_lng REAL,
+        drop_lat REAL,
+        drop_lng REAL,
+        trip_distance_km REAL,
+        trip_duration_minutes INTEGER,
+        surge_multiplier REAL NOT NULL DEFAULT 1.0,
+        FOREIGN KEY (passenger_id) REFERENCES User(id)
+      );
+      INSERT INTO RideRequest_new
+        SELECT id, passenger_id, pickup_location, drop_location, ride_type, payment, status, is_active, created_at,
+               pickup_lat, pickup_lng, drop_lat, drop_lng, trip_distance_km, trip_duration_minutes, surge_multiplier
+        FROM RideRequest;
+      DROP TABLE RideRequest;
+      ALTER TABLE RideRequest_new RENAME TO RideRequest;
+      ALTER TABLE Ride ADD COLUMN ride_request_id INTEGER REFERENCES RideRequest(id);
+      CREATE TABLE RideEvent (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ride_request_id INTEGER,
+        ride_id INTEGER,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        actor_id INTEGER,
+        actor_type TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (ride_request_id) REFERENCES RideRequest(id),
+        FOREIGN KEY (ride_id) REFERENCES Ride(id),
+        FOREIGN KEY (actor_id) REFERENCES User(id)
+      );
+      CREATE INDEX idx_ride_event_request ON RideEvent(ride_request_id);
+      CREATE INDEX idx_ride_event_ride ON RideEvent(ride_id);
+    `
+  },
+  {
+    version: 6,
+    name: 'idempotency_keys',
+    up: `
+      CREATE TABLE IdempotencyKey (
+        user_id INTEGER NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status_code INTEGER,
+        response_body TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, idempotency_key),
+        FOREIGN KEY (user_id) REFERENCES User(id)
+      );
+      CREATE INDEX idx_idempotency_key_created ON IdempotencyKey(created_at);
+      CREATE UNIQUE INDEX idx_payment_ride ON Payment(ride_id);
+    `
+  },
+  {
+    version: 7,
+    name: 'wallet_ledger',
+    // Existing non-zero balances are carried into the ledger as one opening transaction
+    // so that ledger totals reconcile with User balances from the start.
+    up: `
+      ALTER TABLE User ADD COLUMN held_balance REAL NOT NULL DEFAULT 0.0;
+      CREATE TABLE LedgerTransaction (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        ride_request_id INTEGER,
+        ride_id INTEGER,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (ride_request_id) REFERENCES RideRequest(id),
+        FOREIGN KEY (ride_id) REFERENCES Ride(id)
+      );
+      CREATE TABLE LedgerEntry (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        transaction_id INTEGER NOT NULL,
+        account TEXT NOT NULL CHECK(account IN ('passenger_wallet', 'passenger_hold', 'driver_balance', 'platform_revenue', 'external')),
+        user_id INTEGER,
+        amount REAL NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (transaction_id) REFERENCES LedgerTransaction(id),
+        FOREIGN KEY (user_id) REFERENCES User(id)
+      );
+      CREATE INDEX idx_ledger_transaction_request ON LedgerTransaction(ride_request_id);
+      CREATE INDEX idx_ledger_entry_transaction ON LedgerEntry(transaction_id);
+      CREATE INDEX idx_ledger_entry_user ON LedgerEntry(user_id);
+      ALTER TABLE Payment ADD COLUMN ledger_transaction_id INTEGER REFERENCES LedgerTransaction(id);
+      INSERT INTO LedgerTransaction (type, description)
+        SELECT 'opening_balance', 'Balances carried over from before the ledger'
+        WHERE EXISTS (SELECT 1 FROM User WHERE balance != 0);
+      INSERT INTO LedgerEntry (transaction_id, account, user_id, amount)
+        SELECT (SELECT MAX(id) FROM LedgerTransaction WHERE type = 'opening_balance'),
+               CASE WHEN type = 'driver' THEN 'driver_balance' ELSE 'passenger_wallet' END, id, balance
+        FROM User WHERE balance != 0;
+      INSERT INTO LedgerEntry (transaction_id, account, user_id, amount)
+        SELECT (SELECT MAX(id) FROM LedgerTransaction WHERE type = 'opening_balance'), 'external', NULL,
+               -(SELECT SUM(balance) FROM User)
+        WHERE EXISTS (SELECT 1 FROM User WHERE balance != 0);
+    `
+  },
+  {
+    version: 8,
+    name: 'commission_and_withdrawals',
+    // Payments made before commission existed were paid out in full.
+    up: `
+      ALTER TABLE Payment ADD COLUMN gross_amount REAL;
+      ALTER TABLE Payment ADD COLUMN commission REAL NOT NULL DEFAULT 0.0;
+      ALTER TABLE Payment ADD COLUMN net_amount REAL;
+      UPDATE Payment SET gross_amount = amount, net_amount = amount;
+      CREATE TABLE Withdrawal (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        driver_id INTEGER NOT NULL,
+        amount REAL NOT NULL CHECK(amount > 0),
+        status TEXT NOT NULL CHECK(status IN ('pending', 'approved', 'rejected')) DEFAULT 'pending',
+        review_note TEXT,
+        ledger_transaction_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        reviewed_at TIMESTAMP,
+        FOREIGN KEY (driver_id) REFERENCES User(id),
+        FOREIGN KEY (ledger_transaction_id) REFERENCES LedgerTransaction(id)
+      );
+      CREATE INDEX idx_withdrawal_driver ON Withdrawal(driver_id);
+    `
+  },
+  {
+    version: 9,
+    name: 'reviews',
+    up: `
+      CREATE TABLE Review (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ride_id INTEGER NOT NULL,
+        reviewer_id INTEGER NOT NULL,
+        reviewee_id INTEGER NOT NULL,
+        rating INTEGER NOT NULL CHECK(rating BETWEEN 1 AND 5),
+        comment TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (ride_id, reviewer_id),
+        FOREIGN KEY (ride_id) REFERENCES Ride(id),
+        FOREIGN KEY (reviewer_id) REFERENCES User(id),
+        FOREIGN KEY (reviewee_id) REFERENCES User(id)
+      );
+      CREATE INDEX idx_review_reviewee ON Review(reviewee_id);
+    `
+  },
+  {
+    version: 10,
+    name: 'vehicles',
+    up: `
+      CREATE TABLE Vehicle (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        driver_id INTEGER NOT NULL,
+        type TEXT NOT NULL CHECK(type IN ('bike', 'car', 'rickshaw')),
+        plate TEXT UNIQUE NOT NULL,
+        model TEXT NOT NULL,
+        capacity INTEGER NOT NULL CHECK(capacity > 0),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (driver_id) REFERENCES User(id)
+      );
+      CREATE INDEX idx_vehicle_driver ON Vehicle(driver_id);
+      ALTER TABLE User ADD COLUMN active_vehicle_id INTEGER REFERENCES Vehicle(id);
+      ALTER TABLE Ride ADD COLUMN vehicle_id INTEGER REFERENCES Vehicle(id);
+    `
+  },
+  {
+    version: 11,
+    name: 'request_expiry_and_dispatch',
+    // Rebuilt again to allow the 'expired' status, and to track the driver currently
+    // holding a sequential dispatch offer.
+    up: `
+      CREATE TABLE RideRequest_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        passenger_id INTEGER NOT NULL,
+        pickup_location TEXT NOT NULL,
+        drop_location TEXT NOT NULL,
+        ride_type TEXT NOT NULL CHECK(ride_type IN ('bike', 'car', 'rickshaw')),
+        payment REAL NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('requested', 'accepted', 'cancelled', 'expired')),
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        pickup_lat REAL,
+        pickup_lng REAL,
+        drop_lat REAL,
+        drop_lng REAL,
+        trip_distance_km REAL,
+        trip_duration_minutes INTEGER,
+        surge_multiplier REAL NOT NULL DEFAULT 1.0,
+        offered_driver_id INTEGER,
+        offer_expires_at TIMESTAMP,
+        FOREIGN KEY (passenger_id) REFERENCES User(id),
+        FOREIGN KEY (offered_driver_id) REFERENCES User(id)
+      );
+      INSERT INTO RideRequest_new (id, passenger_id, pickup_location, drop_location, ride_type, payment, status, is_active, created_at,
+                                   pickup_lat, pickup_lng, drop_lat, drop_lng, trip_distance_km, trip_duration_minutes, surge_multiplier)
+        SELECT id, passenger_id, pickup_location, drop_location, ride_type, payment, status, is_active, created_at,
+               pickup_lat, pickup_lng, drop_lat, drop_lng, trip_distance_km, trip_duration_minutes, surge_multiplier
+        FROM RideRequest;
+      DROP TABLE RideRequest;
+      ALTER TABLE RideRequest_new RENAME TO RideRequest;
+      CREATE INDEX idx_ride_request_status ON RideRequest(status, is_active);
+      CREATE TABLE DispatchOffer (
+        ride_request_id INTEGER NOT NULL,
+        driver_id INTEGER NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('offered', 'accepted', 'rejected', 'timed_out', 'withdrawn')),
+        offered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        responded_at TIMESTAMP,
+        PRIMARY KEY (ride_request_id, driver_id),
+        FOREIGN KEY (ride_request_id) REFERENCES RideRequest(id),
+        FOREIGN KEY (driver_id) REFERENCES User(id)
+      );
+    `
+  },
+  {
+    version: 12,
+    name: 'scheduled_rides',
+    up: `
+      CREATE TABLE ScheduledRide (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        passenger_id INTEGER NOT NULL,
+        pickup_location TEXT NOT NULL,
+        drop_location TEXT NOT NULL,
+        pickup_lat REAL NOT NULL,
+        pickup_lng REAL NOT NULL,
+        drop_lat REAL NOT NULL,
+        drop_lng REAL NOT NULL,
+        ride_type TEXT NOT NULL CHECK(ride_type IN ('bike', 'car', 'rickshaw')),
+        pickup_at TIMESTAMP NOT NULL,
+        status TEXT NOT NULL DEFAULT 'scheduled' CHECK(status IN ('scheduled', 'released', 'cancelled', 'failed')),
+        ride_request_id INTEGER,
+        failure_reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        released_at TIMESTAMP,
+        FOREIGN KEY (passenger_id) REFERENCES User(id),
+        FOREIGN KEY (ride_request_id) REFERENCES RideRequest(id)
+      );
+      CREATE INDEX idx_scheduled_ride_due ON ScheduledRide(status, pickup_at);
+    `
+  },
+  {
+    version: 13,
+    name: 'cancellation_policy',
+    up: `
+      ALTER TABLE Ride ADD COLUMN cancel_reason TEXT;
+      ALTER TABLE Ride ADD COLUMN cancelled_by TEXT CHECK(cancelled_by IN ('passenger', 'driver', 'system'));
+      ALTER TABLE Ride ADD COLUMN cancelled_at TIMESTAMP;
+      ALTER TABLE RideRequest ADD COLUMN cancel_reason TEXT;
+      ALTER TABLE RideRequest ADD COLUMN requeued_at TIMESTAMP;
+      ALTER TABLE Payment ADD COLUMN type TEXT NOT NULL DEFAULT 'fare' CHECK(type IN ('fare', 'cancellation_fee'));
+    `
+  },
+  {
+    version: 14,
+    name: 'admin_role',
+    // User is rebuilt to allow the 'admin' type; existing accounts start out active.
+    up: `
+      CREATE TABLE User_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        type TEXT NOT NULL CHECK(type IN ('passenger', 'driver', 'admin')),
+        is_available BOOLEAN,
+        balance REAL NOT NULL DEFAULT 0.0,
+        current_lat REAL,
+        current_lng REAL,
+        location_updated_at TIMESTAMP,
+        held_balance REAL NOT NULL DEFAULT 0.0,
+        active_vehicle_id INTEGER REFERENCES Vehicle(id),
+        status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'suspended')),
+        suspended_reason TEXT,
+        suspended_at TIMESTAMP
+      );
+      INSERT INTO User_new (id, name, email, password, type, is_available, balance, current_lat, current_lng, location_updated_at, held_balance, active_vehicle_id)
+        SELECT id, name, email, password, type, is_available, balance, current_lat, current_lng, location_updated_at, held_balance, active_vehicle_id
+        FROM User;
+      DROP TABLE User;
+      ALTER TABLE User_new RENAME TO User;
+      ALTER TABLE Withdrawal ADD COLUMN reviewed_by INTEGER REFERENCES User(id);
+      CREATE TABLE AdminAuditLog (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        target_type TEXT NOT NULL,
+        target_id INTEGER,
+        reason TEXT,
+        details TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (admin_id) REFERENCES User(id)
+      );
+      CREATE INDEX idx_admin_audit_target ON AdminAuditLog(target_type, target_id);
+    `
+  },
+  {
+    version: 15,
+    name: 'earnings_reports',
+    // Drivers who are online right now start accruing online hours from this migration.
+    // Rejections made before it have no timestamp and are left out of reports.
+    up: `
+      CREATE TABLE AvailabilityLog (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        driver_id INTEGER NOT NULL,
+        is_available BOOLEAN NOT NULL,
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (driver_id) REFERENCES User(id)
+      );
+      CREATE INDEX idx_availability_log_driver ON AvailabilityLog(driver_id, changed_at);
+      INSERT INTO AvailabilityLog (driver_id, is_available) SELECT id, TRUE FROM User WHERE type = 'driver' AND is_available;
+      ALTER TABLE RideRejection ADD COLUMN created_at TIMESTAMP;
+    `
+  },
+  {
+    version: 16,
+    name: 'promo_codes',
+    // LedgerEntry is rebuilt to add the promo_subsidy account, which pays for discounts.
+    up: `
+      CREATE TABLE PromoCode (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL,
+        discount_type TEXT NOT NULL CHECK(discount_type IN ('percentage', 'flat')),
+        discount_value REAL NOT NULL CHECK(discount_value > 0),
+        max_discount REAL,
+        ride_types TEXT,
+        expires_at TIMESTAMP,
+        max_uses INTEGER,
+        max_uses_per_user INTEGER NOT NULL DEFAULT 1,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by INTEGER REFERENCES User(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE PromoRedemption (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        promo_code_id INTEGER NOT NULL,
+        passenger_id INTEGER NOT NULL,
+        ride_request_id INTEGER UNIQUE NOT NULL,
+        discount REAL NOT NULL,
+        status TEXT NOT NULL DEFAULT 'applied' CHECK(status IN ('applied', 'redeemed', 'released')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (promo_code_id) REFERENCES PromoCode(id),
+        FOREIGN KEY (passenger_id) REFERENCES User(id),
+        FOREIGN KEY (ride_request_id) REFERENCES RideRequest(id)
+      );
+      CREATE INDEX idx_promo_redemption_code ON PromoRedemption(promo_code_id, passenger_id);
+      ALTER TABLE RideRequest ADD COLUMN discount REAL NOT NULL DEFAULT 0;
+      ALTER TABLE Ride ADD COLUMN discount REAL NOT NULL DEFAULT 0;
+      ALTER TABLE Payment ADD COLUMN subsidy REAL NOT NULL DEFAULT 0;
+      CREATE TABLE LedgerEntry_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        transaction_id INTEGER NOT NULL,
+        account TEXT NOT NULL CHECK(account IN ('passenger_wallet', 'passenger_hold', 'driver_balance', 'platform_revenue', 'promo_subsidy', 'external')),
+        user_id INTEGER,
+        amount REAL NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (transaction_id) REFERENCES LedgerTransaction(id),
+        FOREIGN KEY (user_id) REFERENCES User(id)
+      );
+      INSERT INTO LedgerEntry_new (id, transaction_id, account, user_id, amount, created_at)
+        SELECT id, transaction_id, account, user_id, amount, created_at FROM LedgerEntry;
+      DROP TABLE LedgerEntry;
+      ALTER TABLE LedgerEntry_new RENAME TO LedgerEntry;
+      CREATE INDEX idx_ledger_entry_transaction ON LedgerEntry(transaction_id);
+      CREATE INDEX idx_ledger_entry_user ON LedgerEntry(user_id);
+    `
+  },
+  {
+    version: 17,
+    name: 'scheduled_request_pickup_time',
+    // Requests released from a booking keep its pickup time; requests made on the spot have none.
+    up: `
+      ALTER TABLE RideRequest ADD COLUMN pickup_at TIMESTAMP;
+      UPDATE RideRequest SET pickup_at = (SELECT pickup_at FROM ScheduledRide WHERE ScheduledRide.ride_request_id = RideRequest.id);
+    `
+  },
+  {
+    version: 18,
+    name: 'ride_request_cancelled_by',
+    // Earlier cancellations are attributed from the request's timeline; admin ones count as 'system', as on Ride.
+    up: `
+      ALTER TABLE RideRequest ADD COLUMN cancelled_by TEXT CHECK(cancelled_by IN ('passenger', 'driver', 'system'));
+      UPDATE RideRequest SET cancelled_by = COALESCE(
+        (SELECT CASE WHEN actor_type = 'passenger' THEN 'passenger' ELSE 'system' END FROM RideEvent
+         WHERE RideEvent.ride_request_id = RideRequest.id AND RideEvent.ride_id IS NULL AND RideEvent.to_status = 'cancelled'
+         ORDER BY RideEvent.id DESC LIMIT 1),
+        'passenger')
+      WHERE status = 'cancelled';
+    `
+  },
+  {
+    version: 19,
+    name: 'ride_rejection_reason',
+    // Requests a driver accepted and then cancelled are kept away from them like rejections,
+    // but don't count as rejections in earnings reports.
+    up: `
+      ALTER TABLE RideRejection ADD COLUMN reason TEXT NOT NULL DEFAULT 'rejected' CHECK(reason IN ('rejected', 'driver_cancelled'));
+      UPDATE RideRejection SET reason = 'driver_cancelled'
+      WHERE EXISTS (SELECT 1 FROM Ride WHERE Ride.ride_request_id = RideRejection.ride_request_id AND Ride.driver_id = RideRejection.driver_id AND Ride.cancelled_by = 'driver');
+    `
+  },
+  {
+    version: 20,
+    name: 'ride_accepted_at',
+    // Ride.created_at is copied from the request. Existing rides take their acceptance time
+    // from the ride timeline, or created_at for rides accepted before events were recorded.
+    up: `
+      ALTER TABLE Ride ADD COLUMN accepted_at TIMESTAMP;
+      UPDATE Ride SET accepted_at = COALESCE(
+        (SELECT MAX(RideEvent.created_at) FROM RideEvent WHERE RideEvent.ride_id = Ride.id AND RideEvent.to_status = 'accepted'),
+        created_at);
+    `
+  }
+];
+
+//=========================== Apply pending migrations ===========================
+
+function migrate(db, callback) {
+  db.run(
+    `CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    (err) => {
+      if (err) return callback(err);
+      db.get('SELECT MAX(version) AS version FROM schema_version', (err, row) => {
+        if (err) return callback(err);
+        const currentVersion = row.version || 0;
+        const pending = migrations.filter((migration) => migration.version > currentVersion);
+        applyNext(db, pending, 0, callback);
+      });
+    }
+  );
+}
+
+function applyNext(db, pending, index, callback) {
+  if (index >= pending.length) return callback(null);
+  const migration = pending[index];
+  db.exec('BEGIN', (err) => {
+    if (err) return callback(err);
+    db.exec(migration.up, (err) => {
+      if (err) return rollback(db, migration, err, callback);
+      db.run(
+        'INSERT INTO schema_version (version, name) VALUES (?, ?)',
+        [migration.version, migration.name],
+        (err) => {
+          if (err) return rollback(db, migration, err, callback);
+          db.exec('COMMIT', (err) => {
+            if (err) return rollback(db, migration, err, callback);
+            console.log(`Applied migration ${migration.version} (${migration.name})`);
+            applyNext(db, pending, index + 1, callback);
+          });
+        }
+      );
+    });
+  });
+}
+
+function rollback(db, migration, err, callback) {
+  db.exec('ROLLBACK', () => {
+    callback(new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`));
+  });
+}
+
+module.exports = { migrations, migrate };
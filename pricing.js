@@ -0,0 +1,79 @@
+// Fare rules per ride_type. Amounts use the same currency unit as RideRequest.payment.
+const FARE_RATES = {
+  bike: { base_fare: 30, per_km: 12, per_minute: 1, minimum_fare: 60 },
+  rickshaw: { base_fare: 50, per_km: 18, per_minute: 1.5, minimum_fare: 90 },
+  car: { base_fare: 100, per_km: 30, per_minute: 3, minimum_fare: 200 }
+};
+
+// Share of each fare the platform keeps, per ride_type. Override with COMMISSION_RATE_<TYPE>,
+// e.g. COMMISSION_RATE_CAR=0.2.
+const rateFromEnv = (name, fallback) => (process.env[name] !== undefined ? Number(process.env[name]) : fallback);
+const COMMISSION_RATES = {
+  bike: rateFromEnv('COMMISSION_RATE_BIKE', 0.1),
+  rickshaw: rateFromEnv('COMMISSION_RATE_RICKSHAW', 0.12),
+  car: rateFromEnv('COMMISSION_RATE_CAR', 0.15)
+};
+
+// Charged when a passenger cancels an accepted ride after the grace period, per ride_type.
+// Override with CANCELLATION_FEE_<TYPE>. The fee is paid to the driver in full.
+const CANCELLATION_FEES = {
+  bike: rateFromEnv('CANCELLATION_FEE_BIKE', 20),
+  rickshaw: rateFromEnv('CANCELLATION_FEE_RICKSHAW', 30),
+  car: rateFromEnv('CANCELLATION_FEE_CAR', 50)
+};
+
+// Surge kicks in once open requests outnumber available drivers and is capped here.
+const MAX_SURGE_MULTIPLIER = Number(process.env.MAX_SURGE_MULTIPLIER) || 2.5;
+// How much the multiplier grows for each extra open request per available driver.
+const SURGE_STEP = 0.25;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+//=========================== Surge multiplier from current demand ===========================
+
+function computeSurgeMultiplier(openRequests, availableDrivers) {
+  if (openRequests === 0) return 1;
+  const demandRatio = openRequests / Math.max(availableDrivers, 1);
+  if (demandRatio <= 1) return 1;
+  const multiplier = 1 + (demandRatio - 1) * SURGE_STEP;
+  return Math.min(MAX_SURGE_MULTIPLIER, Math.round(multiplier * 10) / 10);
+}
+
+//=========================== Fare estimate for a single ride ===========================
+
+function estimateFare(ride_type, distanceKm, durationMinutes, surgeMultiplier) {
+  const rates = FARE_RATES[ride_type];
+  if (!rates) throw new Error(`Unknown ride_type: ${ride_type}`);
+  const distanceFare = distanceKm * rates.per_km;
+  const timeFare = durationMinutes * rates.per_minute;
+  const subtotal = Math.max(rates.base_fare + distanceFare + timeFare, rates.minimum_fare);
+  return {
+    ride_type,
+    distance_km: roundMoney(distanceKm),
+    duration_minutes: durationMinutes,
+    base_fare: rates.base_fare,
+    distance_fare: roundMoney(distanceFare),
+    time_fare: roundMoney(timeFare),
+    minimum_fare: rates.minimum_fare,
+    surge_multiplier: surgeMultiplier,
+    total: roundMoney(subtotal * surgeMultiplier)
+  };
+}
+
+//=========================== Split a fare between driver and platform ===========================
+
+function splitFare(ride_type, grossAmount) {
+  const commission = roundMoney(grossAmount * (COMMISSION_RATES[ride_type] || 0));
+  return { gross_amount: grossAmount, commission, net_amount: roundMoney(grossAmount - commission) };
+}
+
+//=========================== Promo code discount on a fare ===========================
+
+// Percentage discounts are capped by max_discount, and no discount is more than the fare.
+function computeDiscount(promo, fareTotal) {
+  const discount = promo.discount_type === 'percentage' ? (fareTotal * promo.discount_value) / 100 : promo.discount_value;
+  const capped = promo.max_discount === null || promo.max_discount === undefined ? discount : Math.min(discount, promo.max_discount);
+  return roundMoney(Math.min(capped, fareTotal));
+}
+
+module.exports = { FARE_RATES, COMMISSION_RATES, CANCELLATION_FEES, computeSurgeMultiplier, estimateFare, splitFare, computeDiscount, roundMoney };
@@ -3,78 +3,78 @@ const sqlite3 = require('sqlite3').verbose();
 const auth = require('basic-auth');
 const cors = require('cors');
 const bcrypt = require('bcrypt'); 
+const crypto = require('crypto');
+const path = require('path');
+const { migrate } = require('./migrations');
+const { FARE_RATES, CANCELLATION_FEES, computeSurgeMultiplier, estimateFare, splitFare, computeDiscount, roundMoney } = require('./pricing');
 
 const app = express();
 app.use(express.json());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Idempotent-Replayed', 'X-Next-Cursor', 'Retry-After'] }));
+// Set TRUST_PROXY (e.g. 1 or 'loopback') behind a reverse proxy so req.ip is the client's
+// address; login lockouts and registration limits are counted per IP.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 
-const db = new sqlite3.Database(':memory:');
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'ride_booking.db');
+const db = new sqlite3.Database(DB_PATH);
 
 const SALT_ROUNDS = 10;
+// Drivers only see ride requests whose pickup point is within this distance of them.
+const MATCH_RADIUS_KM = Number(process.env.MATCH_RADIUS_KM) || 5;
+// Used to turn a straight-line distance into a rough ETA.
+const AVERAGE_SPEED_KMH = Number(process.env.AVERAGE_SPEED_KMH) || 25;
+// Comment lines sent on idle event streams so proxies don't close them.
+const EVENT_HEARTBEAT_MS = 25000;
 
-db.serialize(() => {
-  db.run(`
-    CREATE TABLE User (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      email TEXT UNIQUE NOT NULL,
-      password TEXT NOT NULL,
-      type TEXT NOT NULL CHECK(type IN ('passenger', 'driver')),
-      is_available BOOLEAN,
-      balance REAL NOT NULL DEFAULT 0.0
-    )
-  `);
-  db.run(`
-    CREATE TABLE RideRequest (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      passenger_id INTEGER NOT NULL,
-      pickup_location TEXT NOT NULL,
-      drop_location TEXT NOT NULL,
-      ride_type TEXT NOT NULL CHECK(ride_type IN ('bike', 'car', 'rickshaw')),
-      payment REAL NOT NULL,
-      status TEXT NOT NULL CHECK(status IN ('requested', 'cancelled')),
-      is_active BOOLEAN NOT NULL DEFAULT TRUE,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (passenger_id) REFERENCES User(id)
-    )
-  `);
-  db.run(`
-    CREATE TABLE Ride (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      passenger_id INTEGER NOT NULL,
-      driver_id INTEGER NOT NULL,
-      pickup_location TEXT NOT NULL,
-      drop_location TEXT NOT NULL,
-      ride_type TEXT NOT NULL CHECK(ride_type IN ('bike', 'car', 'rickshaw')),
-      payment REAL NOT NULL,
-      status TEXT NOT NULL CHECK(status IN ('accepted', 'in_progress', 'completed', 'cancelled')),
-      is_active BOOLEAN NOT NULL DEFAULT TRUE,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (passenger_id) REFERENCES User(id),
-      FOREIGN KEY (driver_id) REFERENCES User(id)
-    )
-  `);
-  db.run(`
-    CREATE TABLE RideRejection (
-      ride_request_id INTEGER NOT NULL,
-      driver_id INTEGER NOT NULL,
-      PRIMARY KEY (ride_request_id, driver_id),
-      FOREIGN KEY (ride_request_id) REFERENCES RideRequest(id),
-      FOREIGN KEY (driver_id) REFERENCES User(id)
-    )
-  `);
-  db.run(`
-    CREATE TABLE Payment (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      ride_id INTEGER NOT NULL,
-      driver_id INTEGER NOT NULL,
-      amount REAL NOT NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (ride_id) REFERENCES Ride(id),
-      FOREIGN KEY (driver_id) REFERENCES User(id)
-    )
-  `);
-});
+// Signs access tokens. Without TOKEN_SECRET a random one is used and tokens do not survive a restart.
+const TOKEN_SECRET = process.env.TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.TOKEN_SECRET) console.warn('TOKEN_SECRET not set; issued tokens will be invalid after restart');
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = Number(process.env.REFRESH_TOKEN_TTL_SECONDS) || 30 * 24 * 60 * 60;
+// Existing clients may keep sending Basic credentials on every call unless this is set to 'false'.
+const ALLOW_BASIC_AUTH = process.env.ALLOW_BASIC_AUTH !== 'false';
+// Failed logins within LOGIN_FAILURE_WINDOW_SECONDS lock the account (or the client IP, with
+// a higher threshold) for LOGIN_LOCKOUT_SECONDS.
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_MAX_FAILURES_PER_IP = Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+const LOGIN_FAILURE_WINDOW_SECONDS = Number(process.env.LOGIN_FAILURE_WINDOW_SECONDS) || 15 * 60;
+const LOGIN_LOCKOUT_SECONDS = Number(process.env.LOGIN_LOCKOUT_SECONDS) || 15 * 60;
+// Per-user limits per minute on ride requests and on driver accept/reject calls, and
+// per-IP registrations per hour.
+const RIDE_REQUEST_RATE_LIMIT = Number(process.env.RIDE_REQUEST_RATE_LIMIT) || 10;
+const RIDE_RESPONSE_RATE_LIMIT = Number(process.env.RIDE_RESPONSE_RATE_LIMIT) || 30;
+const REGISTRATION_RATE_LIMIT = Number(process.env.REGISTRATION_RATE_LIMIT) || 10;
+// Open ride requests nobody accepts within this many seconds move to 'expired'.
+const REQUEST_TIMEOUT_SECONDS = Number(process.env.REQUEST_TIMEOUT_SECONDS) || 600;
+// 'broadcast' shows every open request to all nearby drivers; 'sequential' offers each
+// request to one driver at a time, nearest first, for DISPATCH_OFFER_SECONDS.
+const DISPATCH_MODE = process.env.DISPATCH_MODE === 'sequential' ? 'sequential' : 'broadcast';
+const DISPATCH_OFFER_SECONDS = Number(process.env.DISPATCH_OFFER_SECONDS) || 30;
+// How often background jobs (request expiry, dispatch timeouts) run.
+const BACKGROUND_SWEEP_MS = (Number(process.env.BACKGROUND_SWEEP_SECONDS) || 10) * 1000;
+// Scheduled rides are released into the open RideRequest pool this many minutes before
+// pickup, and can be booked at most SCHEDULE_MAX_DAYS_AHEAD days out.
+const SCHEDULE_RELEASE_LEAD_MINUTES = Number(process.env.SCHEDULE_RELEASE_LEAD_MINUTES) || 15;
+const SCHEDULE_MAX_DAYS_AHEAD = Number(process.env.SCHEDULE_MAX_DAYS_AHEAD) || 7;
+// Longest review comment accepted, in characters.
+const MAX_REVIEW_COMMENT_LENGTH = 500;
+// Passengers can cancel an accepted ride for free for this many seconds after acceptance.
+const CANCELLATION_GRACE_SECONDS = Number(process.env.CANCELLATION_GRACE_SECONDS) || 120;
+// Longest cancellation reason accepted, in characters.
+const MAX_CANCEL_REASON_LENGTH = 200;
+// Stored responses for Idempotency-Key retries are kept this long.
+const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// When both are set, an admin account with these credentials is created at startup if the
+// email isn't registered yet. Admins can't sign up through POST /register.
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+// Longest reason accepted for an audited admin action, in characters.
+const MAX_ADMIN_REASON_LENGTH = 500;
+
+// Type of the driver's selected vehicle, loaded with the user on every authenticated call.
+const ACTIVE_VEHICLE_COLUMNS = '(SELECT type FROM Vehicle WHERE Vehicle.id = User.active_vehicle_id) AS active_vehicle_type';
 
 // Middleware for Basic Authentication
 const authenticateBasic = (req, res, next) => {
@@ -83,418 +83,3016 @@ const authenticateBasic = (req, res, next) => {
     res.set('WWW-Authenticate', 'Basic realm="Ride Booking System"');
     return res.status(401).json({ error: 'Access denied' });
   }
-  db.get('SELECT * FROM User WHERE email = ?', [credentials.name], (err, user) => {
+  const accountKey = `account:${credentials.name.toLowerCase()}`;
+  const ipKey = `ip:${req.ip}`;
+  const lockedForSeconds = Math.max(lockoutRemainingSeconds(accountKey), lockoutRemainingSeconds(ipKey));
+  if (lockedForSeconds > 0) {
+    res.set('Retry-After', String(lockedForSeconds));
+    return res.status(429).json({ error: 'Too many failed login attempts, try again later', retry_after: lockedForSeconds });
+  }
+  const rejectCredentials = () => {
+    recordLoginFailure(accountKey, LOGIN_MAX_FAILURES);
+    recordLoginFailure(ipKey, LOGIN_MAX_FAILURES_PER_IP);
+    res.set('WWW-Authenticate', 'Basic realm="Ride Booking System"');
+    return res.status(401).json({ error: 'Invalid credentials' });
+  };
+  db.get(`SELECT User.*, ${ACTIVE_VEHICLE_COLUMNS} FROM User WHERE email = ?`, [credentials.name], (err, user) => {
     if (err) {
       console.error('Error in authenticateBasic:', err.message);
       return res.status(500).json({ error: 'Database error' });
     }
-    if (!user) {
-      res.set('WWW-Authenticate', 'Basic realm="Ride Booking System"');
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+    if (!user) return rejectCredentials();
     bcrypt.compare(credentials.pass, user.password, (err, result) => {
-      if (err || !result) {
-        res.set('WWW-Authenticate', 'Basic realm="Ride Booking System"');
-        return res.status(401).json({ error: 'Invalid credentials' });
-      }
-      req.user = { id: user.id, type: user.type, is_available: user.is_available, balance: user.balance };
+      if (err || !result) return rejectCredentials();
+      loginFailures.delete(accountKey);
+      if (user.status === 'suspended') return res.status(403).json({ error: 'Account suspended' });
+      req.user = toRequestUser(user);
       next();
     });
   });
 };
 
-// =========================== Request to Register =========================================
+function toRequestUser(user) {
+  return {
+    id: user.id,
+    type: user.type,
+    is_available: user.is_available,
+    balance: user.balance,
+    held_balance: user.held_balance,
+    current_lat: user.current_lat,
+    current_lng: user.current_lng,
+    active_vehicle_id: user.active_vehicle_id,
+    active_vehicle_type: user.active_vehicle_type
+  };
+}
 
-app.post('/register', (req, res) => {
-  const { name, email, password, type } = req.body;
-  if (!name || !email || !password || !type || !['passenger', 'driver'].includes(type)) {
-    return res.status(400).json({ error: 'Invalid input' });
+//=========================== Helper functions for access and refresh tokens ===========================
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const signToken = (payload) => crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function createAccessToken(userId, sessionId) {
+  const payload = base64url(JSON.stringify({ sub: userId, sid: sessionId, exp: Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS }));
+  return `${payload}.${signToken(payload)}`;
+}
+
+// Returns the token claims, or null when the signature is wrong or the token has expired.
+function verifyAccessToken(token) {
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+  // Lengths are compared in bytes: timingSafeEqual throws on buffers of different sizes.
+  const signatureBytes = Buffer.from(signature);
+  const expectedBytes = Buffer.from(signToken(payload));
+  if (signatureBytes.length !== expectedBytes.length || !crypto.timingSafeEqual(signatureBytes, expectedBytes)) return null;
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (err) {
+    return null;
   }
-  bcrypt.hash(password, SALT_ROUNDS, (err, hash) => {
+  return claims.exp > Math.floor(Date.now() / 1000) ? claims : null;
+}
+
+function tokenResponse(userId, sessionId, refreshToken) {
+  return {
+    access_token: createAccessToken(userId, sessionId),
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    refresh_token: refreshToken
+  };
+}
+
+// Middleware for Bearer token authentication, falling back to Basic when ALLOW_BASIC_AUTH is on
+const authenticate = (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme === 'Basic' && ALLOW_BASIC_AUTH) return authenticateBasic(req, res, next);
+  if (scheme !== 'Bearer' || !token) {
+    res.set('WWW-Authenticate', 'Bearer realm="Ride Booking System"');
+    return res.status(401).json({ error: 'Access denied' });
+  }
+  const claims = verifyAccessToken(token);
+  if (!claims) {
+    res.set('WWW-Authenticate', 'Bearer realm="Ride Booking System", error="invalid_token"');
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+  db.get(
+    `SELECT User.*, ${ACTIVE_VEHICLE_COLUMNS} FROM Session JOIN User ON User.id = Session.user_id WHERE Session.id = ? AND Session.user_id = ? AND Session.revoked_at IS NULL`,
+    [claims.sid, claims.sub],
+    (err, user) => {
+      if (err) {
+        console.error('Error in authenticate:', err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (!user) {
+        res.set('WWW-Authenticate', 'Bearer realm="Ride Booking System", error="invalid_token"');
+        return res.status(401).json({ error: 'Session revoked' });
+      }
+      if (user.status === 'suspended') return res.status(403).json({ error: 'Account suspended' });
+      req.user = { ...toRequestUser(user), session_id: claims.sid };
+      next();
+    }
+  );
+};
+
+//=========================== Login lockout and rate limiting ===========================
+
+// Kept in memory like the event stream clients, so counts are per server process and start
+// over on restart. Stale entries are pruned by the background sweep.
+const loginFailures = new Map();
+const rateLimitCounters = new Map();
+
+function lockoutRemainingSeconds(key) {
+  const entry = loginFailures.get(key);
+  if (!entry || !entry.locked_until) return 0;
+  return Math.max(0, Math.ceil((entry.locked_until - Date.now()) / 1000));
+}
+
+function recordLoginFailure(key, maxFailures) {
+  const now = Date.now();
+  let entry = loginFailures.get(key);
+  if (!entry || entry.locked_until || now - entry.first_failed_at > LOGIN_FAILURE_WINDOW_SECONDS * 1000) {
+    entry = { count: 0, first_failed_at: now, locked_until: null };
+    loginFailures.set(key, entry);
+  }
+  entry.count += 1;
+  if (entry.count >= maxFailures) entry.locked_until = now + LOGIN_LOCKOUT_SECONDS * 1000;
+}
+
+// Fixed-window limiter; keyFor(req) picks what is counted, such as the user or the client IP.
+function rateLimit(name, limit, windowSeconds, keyFor) {
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = `${name}:${keyFor(req)}`;
+    let counter = rateLimitCounters.get(key);
+    if (!counter || counter.resets_at <= now) {
+      counter = { count: 0, resets_at: now + windowSeconds * 1000 };
+      rateLimitCounters.set(key, counter);
+    }
+    counter.count += 1;
+    if (counter.count <= limit) return next();
+    const retryAfter = Math.ceil((counter.resets_at - now) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'Too many requests, try again later', retry_after: retryAfter });
+  };
+}
+
+// The user-keyed limiters go after authenticate, and after idempotent so that replayed
+// retries don't count.
+const limitRideRequests = rateLimit('ride_requests', RIDE_REQUEST_RATE_LIMIT, 60, (req) => req.user.id);
+const limitRideResponses = rateLimit('ride_responses', RIDE_RESPONSE_RATE_LIMIT, 60, (req) => req.user.id);
+const limitRegistrations = rateLimit('registrations', REGISTRATION_RATE_LIMIT, 60 * 60, (req) => req.ip);
+
+//=========================== Geolocation helpers ===========================
+
+function isValidCoordinate(lat, lng) {
+  return typeof lat === 'number' && typeof lng === 'number' &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+// Great-circle distance in kilometres between two latitude/longitude points.
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function estimateEtaMinutes(distanceKm) {
+  return Math.ceil((distanceKm / AVERAGE_SPEED_KMH) * 60);
+}
+
+//=========================== Helper functions for fare pricing ===========================
+
+// Demand-based surge: open ride requests vs drivers who are available and not on a ride.
+function getSurgeMultiplier(callback) {
+  db.get(
+    `SELECT
+       (SELECT COUNT(*) FROM RideRequest WHERE status = 'requested' AND is_active = TRUE) AS open_requests,
+       (SELECT COUNT(*) FROM User WHERE type = 'driver' AND is_available = TRUE
+          AND id NOT IN (SELECT driver_id FROM Ride WHERE is_active = TRUE)) AS available_drivers`,
+    (err, counts) => {
+      if (err) return callback(err);
+      callback(null, computeSurgeMultiplier(counts.open_requests, counts.available_drivers));
+    }
+  );
+}
+
+function quoteTrip(trip, ride_type, surgeMultiplier) {
+  const distanceKm = haversineKm(trip.pickup_lat, trip.pickup_lng, trip.drop_lat, trip.drop_lng);
+  return estimateFare(ride_type, distanceKm, estimateEtaMinutes(distanceKm), surgeMultiplier);
+}
+
+//=========================== Helper functions for real-time events ===========================
+
+// Open event streams keyed by user id; a user may be connected from several devices.
+const eventClients = new Map();
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function notifyUser(userId, event, data) {
+  const clients = eventClients.get(userId);
+  if (!clients) return;
+  clients.forEach((client) => sendEvent(client.res, event, data));
+}
+
+// Pushes to connected drivers who are currently available. When a ride request is given,
+// only drivers whose active vehicle serves its ride_type and who are within MATCH_RADIUS_KM
+// of its pickup point are notified.
+function notifyAvailableDrivers(event, data, rideRequest) {
+  const connectedIds = [...eventClients.keys()];
+  if (connectedIds.length === 0) return;
+  db.all(
+    `SELECT id, current_lat, current_lng, ${ACTIVE_VEHICLE_COLUMNS} FROM User WHERE type = 'driver' AND is_available = TRUE AND id IN (${connectedIds.map(() => '?').join(', ')})`,
+    connectedIds,
+    (err, drivers) => {
+      if (err) return console.error('Error fetching drivers to notify:', err.message);
+      drivers
+        .filter((driver) => !rideRequest || (driver.active_vehicle_type === rideRequest.ride_type &&
+          isValidCoordinate(driver.current_lat, driver.current_lng) &&
+          haversineKm(driver.current_lat, driver.current_lng, rideRequest.pickup_lat, rideRequest.pickup_lng) <= MATCH_RADIUS_KM))
+        .forEach((driver) => notifyUser(driver.id, event, data));
+    }
+  );
+}
+
+//=========================== Ride lifecycle state machine ===========================
+
+// Allowed status changes and the user types that may make them. 'requested' lives on
+// RideRequest; from 'accepted' onwards the ride is tracked in the Ride table.
+const RIDE_TRANSITIONS = {
+  requested: { accepted: ['driver'], cancelled: ['passenger'], expired: ['system'] },
+  accepted: { in_progress: ['driver'], cancelled: ['passenger', 'driver'] },
+  in_progress: { completed: ['driver'], cancelled: ['driver'] },
+  completed: {},
+  cancelled: {}
+};
+
+function canTransition(fromStatus, toStatus, actorType) {
+  const allowed = (RIDE_TRANSITIONS[fromStatus] || {})[toStatus];
+  return Boolean(allowed && allowed.includes(actorType));
+}
+
+// Appends a row to the ride timeline. actor is req.user, or null for system-driven changes.
+function recordRideEvent(event, actor, callback) {
+  db.run(
+    'INSERT INTO RideEvent (ride_request_id, ride_id, from_status, to_status, actor_id, actor_type) VALUES (?, ?, ?, ?, ?, ?)',
+    [event.ride_request_id || null, event.ride_id || null, event.from_status || null, event.to_status, actor ? actor.id : null, actor ? actor.type : 'system'],
+    callback
+  );
+}
+
+//=========================== Helper functions for transactions ===========================
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// All queries share one SQLite connection, so transactions are queued and run one at a
+// time. work(done) runs between BEGIN IMMEDIATE and COMMIT; passing an error to done
+// rolls everything back. callback(err, result) runs once the transaction has ended.
+// Writes outside a transaction must go through runWrite (or their own runTransaction):
+// a plain db.run could land inside another request's transaction and be rolled back with it.
+const transactionQueue = [];
+let transactionRunning = false;
+
+function runTransaction(work, callback) {
+  transactionQueue.push({ work, callback });
+  if (!transactionRunning) runNextTransaction();
+}
+
+function runNextTransaction() {
+  const next = transactionQueue.shift();
+  if (!next) {
+    transactionRunning = false;
+    return;
+  }
+  transactionRunning = true;
+  const finish = (err, result) => {
+    next.callback(err, result);
+    runNextTransaction();
+  };
+  db.run('BEGIN IMMEDIATE', (err) => {
     if (err) {
-      console.error('Error hashing password:', err.message);
-      return res.status(500).json({ error: 'Failed to register user' });
+      console.error('Error starting transaction:', err.message);
+      return finish(err);
     }
-    db.run(
-      'INSERT INTO User (name, email, password, type, is_available, balance) VALUES (?, ?, ?, ?, ?, ?)',
-      [name, email, hash, type, type === 'driver' ? true : null, 0.0],
-      (err) => {
+    next.work((workErr, result) => {
+      if (workErr) return db.run('ROLLBACK', () => finish(workErr));
+      db.run('COMMIT', (err) => {
+        if (err) {
+          console.error('Error committing transaction:', err.message);
+          return db.run('ROLLBACK', () => finish(err));
+        }
+        finish(null, result);
+      });
+    });
+  });
+}
+
+// Queues a single statement as its own transaction. Like db.run, callback gets the
+// statement (lastID, changes) as `this`.
+function runWrite(sql, params, callback) {
+  runTransaction(
+    (done) => db.run(sql, params, function (err) {
+      done(err, this);
+    }),
+    (err, statement) => {
+      if (callback) callback.call(statement || {}, err);
+    }
+  );
+}
+
+//=========================== Helper functions for idempotent requests ===========================
+
+const hashRequestBody = (body) => crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+
+// Middleware: when the client sends an Idempotency-Key header, the first response is stored
+// and any retry with the same key gets that response back instead of running the handler again.
+const idempotent = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+  if (key.length > 255) return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+  const requestHash = hashRequestBody(req.body);
+  runWrite(`DELETE FROM IdempotencyKey WHERE created_at < datetime('now', ?)`, [`-${IDEMPOTENCY_KEY_TTL_HOURS} hours`], (err) => {
+    if (err) console.error('Error purging idempotency keys:', err.message);
+    runWrite(
+      'INSERT OR IGNORE INTO IdempotencyKey (user_id, idempotency_key, method, path, request_hash) VALUES (?, ?, ?, ?, ?)',
+      [req.user.id, key, req.method, req.path, requestHash],
+      function (err) {
         if (err) {
-          console.error('Error registering user:', err.message);
-          return res.status(400).json({ error: 'Email already exists' });
+          console.error('Error storing idempotency key:', err.message);
+          return res.status(500).json({ error: 'Database error' });
         }
-        res.status(201).json({ message: 'User registered' });
+        if (this.changes === 1) return captureIdempotentResponse(req, res, key, next);
+        replayIdempotentResponse(req, res, key, requestHash);
       }
     );
   });
-});
+};
 
-// =========================== Request to Login (for testing Basic Auth credentials) ===========================================  
-app.post('/login', authenticateBasic, (req, res) => {
-  res.json({ message: 'Login successful', user: { id: req.user.id, type: req.user.type, is_available: req.user.is_available, balance: req.user.balance } });
-});
+function captureIdempotentResponse(req, res, key, next) {
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    // Server errors and rate-limit rejections are not stored so that a retry gets another
+    // chance to succeed.
+    const retryable = res.statusCode >= 500 || res.statusCode === 429;
+    const query = retryable
+      ? 'DELETE FROM IdempotencyKey WHERE user_id = ? AND idempotency_key = ?'
+      : 'UPDATE IdempotencyKey SET status_code = ?, response_body = ? WHERE user_id = ? AND idempotency_key = ?';
+    const params = retryable ? [req.user.id, key] : [res.statusCode, JSON.stringify(body), req.user.id, key];
+    runWrite(query, params, (err) => {
+      if (err) console.error('Error saving idempotent response:', err.message);
+    });
+    return originalJson(body);
+  };
+  next();
+}
 
-//=========================== Request to Request a Ride ========================================
-app.post('/rides', authenticateBasic, (req, res) => {
-  if (req.user.type !== 'passenger') return res.status(403).json({ error: 'Only passengers can request rides' });
-  const { pickup_location, drop_location, ride_type, payment } = req.body;
-  if (!pickup_location || !drop_location || !['bike', 'car', 'rickshaw'].includes(ride_type) || typeof payment !== 'number' || payment <= 0) {
-    return res.status(400).json({ error: 'Invalid ride details or payment must be a positive number' });
-  }
+function replayIdempotentResponse(req, res, key, requestHash) {
   db.get(
-    'SELECT * FROM RideRequest WHERE passenger_id = ? AND is_active = TRUE',
-    [req.user.id],
-    (err, existingRequest) => {
+    'SELECT * FROM IdempotencyKey WHERE user_id = ? AND idempotency_key = ?',
+    [req.user.id, key],
+    (err, stored) => {
       if (err) {
-        console.error('Error checking existing ride request:', err.message);
+        console.error('Error fetching idempotency key:', err.message);
         return res.status(500).json({ error: 'Database error' });
       }
-      if (existingRequest) {
-        const errorMessage = 'Only one active ride request allowed at a time';
-        console.error(errorMessage, { passenger_id: req.user.id, existing_request_id: existingRequest.id });
-        return res.status(400).json({ error: errorMessage });
+      if (!stored || stored.method !== req.method || stored.path !== req.path || stored.request_hash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
       }
-      db.get(
-        'SELECT * FROM Ride WHERE passenger_id = ? AND is_active = TRUE',
-        [req.user.id],
-        (err, existingRide) => {
-          if (err) {
-            console.error('Error checking existing ride:', err.message);
-            return res.status(500).json({ error: 'Database error' });
-          }
-          if (existingRide) {
-            const errorMessage = 'Only one active ride allowed at a time';
-            console.error(errorMessage, { passenger_id: req.user.id, existing_ride_id: existingRide.id });
-            return res.status(400).json({ error: errorMessage });
-          }
-          createNewRideRequest(req, res, pickup_location, drop_location, ride_type, payment);
-        }
-      );
+      if (stored.status_code === null) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      res.status(stored.status_code).json(JSON.parse(stored.response_body));
     }
   );
-});
+}
 
-//=========================== Helper function to create a new ride request ===========================
+//=========================== Helper functions for the wallet ledger ===========================
 
-function createNewRideRequest(req, res, pickup_location, drop_location, ride_type, payment) {
+// User column that mirrors each per-user ledger account. 'external' (money entering or
+// leaving the platform) and 'platform_revenue' are not tied to a user.
+const LEDGER_BALANCE_COLUMNS = { passenger_wallet: 'balance', passenger_hold: 'held_balance', driver_balance: 'balance' };
+
+// Must run inside runTransaction. entries are { account, user_id, amount } with positive
+// amounts crediting the account; they have to sum to zero.
+function postLedgerTransaction(transaction, entries, done) {
+  const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+  if (Math.abs(total) > 0.005) {
+    return done(new Error(`Unbalanced ${transaction.type} ledger transaction (off by ${total})`));
+  }
   db.run(
-    'INSERT INTO RideRequest (passenger_id, pickup_location, drop_location, ride_type, payment, status, is_active) VALUES (?, ?, ?, ?, ?, ?, ?)',
-    [req.user.id, pickup_location, drop_location, ride_type, payment, 'requested', true],
+    'INSERT INTO LedgerTransaction (type, ride_request_id, ride_id, description) VALUES (?, ?, ?, ?)',
+    [transaction.type, transaction.ride_request_id || null, transaction.ride_id || null, transaction.description || null],
     function (err) {
       if (err) {
-        console.error('Error creating ride request:', err.message);
-        return res.status(500).json({ error: 'Failed to request ride' });
+        console.error('Error creating ledger transaction:', err.message);
+        return done(err);
       }
-      res.status(201).json({ ride_request_id: this.lastID });
+      const transactionId = this.lastID;
+      postLedgerEntries(transactionId, entries, 0, (err) => (err ? done(err) : done(null, transactionId)));
     }
   );
 }
 
-// =========================== Request to Get Current Ride or Request ===========================
-
-app.get('/rides/current', authenticateBasic, (req, res) => {
-  if (req.user.type !== 'passenger') return res.status(403).json({ error: 'Only passengers can view current ride' });
-  db.get(
-    'SELECT * FROM RideRequest WHERE passenger_id = ? AND is_active = TRUE ORDER BY created_at DESC LIMIT 1',
-    [req.user.id],
-    (err, rideRequest) => {
+function postLedgerEntries(transactionId, entries, index, done) {
+  if (index >= entries.length) return done(null);
+  const entry = entries[index];
+  const amount = roundMoney(entry.amount);
+  db.run(
+    'INSERT INTO LedgerEntry (transaction_id, account, user_id, amount) VALUES (?, ?, ?, ?)',
+    [transactionId, entry.account, entry.user_id || null, amount],
+    (err) => {
       if (err) {
-        console.error('Error fetching current ride request:', err.message);
-        return res.status(500).json({ error: 'Database error' });
-      }
-      if (rideRequest) {
-        return res.json({ ...rideRequest, source: 'RideRequest' });
+        console.error('Error recording ledger entry:', err.message);
+        return done(err);
       }
-      db.get(
-        'SELECT * FROM Ride WHERE passenger_id = ? AND is_active = TRUE ORDER BY created_at DESC LIMIT 1',
-        [req.user.id],
-        (err, ride) => {
+      const column = LEDGER_BALANCE_COLUMNS[entry.account];
+      if (!column) return postLedgerEntries(transactionId, entries, index + 1, done);
+      db.run(
+        `UPDATE User SET ${column} = ROUND(${column} + ?, 2) WHERE id = ?`,
+        [amount, entry.user_id],
+        (err) => {
           if (err) {
-            console.error('Error fetching current ride:', err.message);
-            return res.status(500).json({ error: 'Database error' });
+            console.error('Error updating user balance:', err.message);
+            return done(err);
           }
-          res.json(ride ? { ...ride, source: 'Ride' } : null);
+          postLedgerEntries(transactionId, entries, index + 1, done);
         }
       );
     }
   );
-});
-
-// =========================== Request to Get Ride History ===========================
-
-app.get('/rides/history', authenticateBasic, (req, res) => {
-  if (req.user.type !== 'passenger') return res.status(403).json({ error: 'Only passengers can view history' });
-  db.all(
-`SELECT id, passenger_id, NULL AS driver_id, pickup_location, drop_location, ride_type, payment, status, is_active, created_at, 
-       'RideRequest' AS source
-FROM RideRequest 
-WHERE passenger_id = ? AND status = 'cancelled'
-UNION ALL
-SELECT id, passenger_id, driver_id, pickup_location, drop_location, ride_type, payment, status, is_active, created_at, 
-       'Ride' AS source 
-FROM Ride 
-WHERE passenger_id = ? AND status IN ('completed', 'cancelled') 
-ORDER BY created_at DESC`,
+}
 
-    [req.user.id, req.user.id],
-    (err, history) => {
+// What is still on hold for a ride request: its hold minus any capture or release.
+// Requests made before wallets existed have nothing held.
+function getHeldAmount(rideRequestId, callback) {
+  db.get(
+    `SELECT COALESCE(SUM(LedgerEntry.amount), 0) AS held FROM LedgerEntry
+     JOIN LedgerTransaction ON LedgerTransaction.id = LedgerEntry.transaction_id
+     WHERE LedgerTransaction.ride_request_id = ? AND LedgerEntry.account = 'passenger_hold'`,
+    [rideRequestId],
+    (err, row) => {
       if (err) {
-        console.error('Error fetching ride history:', err.message);
-        return res.status(500).json({ error: 'Database error' });
+        console.error('Error fetching held amount:', err.message);
+        return callback(err);
       }
-      res.json(history);
+      callback(null, roundMoney(row.held));
     }
   );
-});
-
-//=========================== Request to Get Driver Balance ===========================
-
-app.get('/users/balance', authenticateBasic, (req, res) => {
-  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can view balance' });
-  res.json({ balance: req.user.balance });
-});
+}
 
-//=========================== Request to Get Available Ride Requests ===========================
+function placeHold(passengerId, rideRequestId, amount, done) {
+  postLedgerTransaction(
+    { type: 'hold', ride_request_id: rideRequestId, description: 'Fare held for ride request' },
+    [
+      { account: 'passenger_wallet', user_id: passengerId, amount: -amount },
+      { account: 'passenger_hold', user_id: passengerId, amount }
+    ],
+    done
+  );
+}
 
-app.get('/rides/available', authenticateBasic, (req, res) => {
-  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can view available rides' });
-  if (!req.user.is_available) return res.status(403).json({ error: 'Driver is not available' });
-  db.all(
-    'SELECT * FROM RideRequest WHERE status = "requested" AND is_active = TRUE AND id NOT IN (SELECT ride_request_id FROM RideRejection WHERE driver_id = ?)',
-    [req.user.id],
-    (err, rideRequests) => {
-      if (err) {
-        console.error('Error fetching available ride requests:', err.message);
-        return res.status(500).json({ error: 'Database error', details: err.message });
+// Also hands back the promo code use, since the request never became a paid ride.
+function releaseHold(passengerId, rideRequestId, rideId, done) {
+  getHeldAmount(rideRequestId, (err, held) => {
+    if (err) return done(err);
+    db.run(
+      `UPDATE PromoRedemption SET status = 'released' WHERE ride_request_id = ? AND status = 'applied'`,
+      [rideRequestId],
+      (err) => {
+        if (err) {
+          console.error('Error releasing promo code:', err.message);
+          return done(err);
+        }
+        if (held <= 0) return done(null, null);
+        postLedgerTransaction(
+          { type: 'release', ride_request_id: rideRequestId, ride_id: rideId, description: 'Held fare returned to wallet' },
+          [
+            { account: 'passenger_hold', user_id: passengerId, amount: -held },
+            { account: 'passenger_wallet', user_id: passengerId, amount: held }
+          ],
+          done
+        );
       }
-      res.json(rideRequests);
+    );
+  });
+}
+
+// Moves the held fare to the driver and the platform's commission, with the promo_subsidy
+// account covering any discount. Any difference between what was held and the passenger's
+// share is settled against the wallet (or 'external' for rides booked before wallets existed).
+function captureHold(ride, split, done) {
+  getHeldAmount(ride.ride_request_id, (err, held) => {
+    if (err) return done(err);
+    const discount = ride.discount || 0;
+    const entries = [{ account: 'driver_balance', user_id: ride.driver_id, amount: split.net_amount }];
+    if (split.commission > 0) entries.push({ account: 'platform_revenue', user_id: null, amount: split.commission });
+    if (discount > 0) entries.push({ account: 'promo_subsidy', user_id: null, amount: -discount });
+    if (held > 0) entries.push({ account: 'passenger_hold', user_id: ride.passenger_id, amount: -held });
+    const difference = roundMoney(ride.payment - discount - held);
+    if (held === 0) {
+      if (difference !== 0) entries.push({ account: 'external', user_id: null, amount: -difference });
+    } else if (difference !== 0) {
+      entries.push({ account: 'passenger_wallet', user_id: ride.passenger_id, amount: -difference });
     }
+    postLedgerTransaction(
+      { type: 'capture', ride_request_id: ride.ride_request_id, ride_id: ride.id, description: 'Fare paid to driver' },
+      entries,
+      done
+    );
+  });
+}
+
+//=========================== Helper functions for ratings ===========================
+
+// Extra columns for queries over Ride: the driver's name and average rating.
+const DRIVER_RATING_COLUMNS = `
+  (SELECT name FROM User WHERE User.id = Ride.driver_id) AS driver_name,
+  (SELECT ROUND(AVG(rating), 2) FROM Review WHERE reviewee_id = Ride.driver_id) AS driver_rating,
+  (SELECT COUNT(*) FROM Review WHERE reviewee_id = Ride.driver_id) AS driver_rating_count`;
+
+function getRatingSummary(userId, callback) {
+  db.get(
+    'SELECT ROUND(AVG(rating), 2) AS average_rating, COUNT(*) AS rating_count FROM Review WHERE reviewee_id = ?',
+    [userId],
+    callback
   );
-});
+}
 
-//=========================== Request to Accept a Ride Request ===========================
+//=========================== Helper functions for sequential dispatch ===========================
 
-app.post('/rides/:id/accept', authenticateBasic, (req, res) => {
-  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can accept rides' });
-  if (!req.user.is_available) return res.status(403).json({ error: 'Driver is not available to accept rides' });
+// Must run inside runTransaction. Offers the request to the nearest available driver
+// whose active vehicle matches, who hasn't already been offered or rejected it, and who
+// isn't holding another offer. done(err, offer) gets null when nobody is free; the
+// background sweep tries again later.
+// currentDriverId is who the caller saw holding the offer (null for none). If the request
+// has moved on since, another dispatch already handled it and nothing is offered. Any
+// offer the caller didn't close is withdrawn, so only one is ever open per request.
+function offerToNextDriver(rideRequestId, currentDriverId, done) {
   db.get(
-    'SELECT * FROM Ride WHERE driver_id = ? AND is_active = TRUE',
-    [req.user.id],
-    (err, existingRide) => {
+    'SELECT * FROM RideRequest WHERE id = ? AND status = "requested" AND is_active = TRUE',
+    [rideRequestId],
+    (err, rideRequest) => {
       if (err) {
-        console.error('Error checking existing ride for driver:', err.message);
-        return res.status(500).json({ error: 'Database error' });
-      }
-      if (existingRide) {
-        const errorMessage = 'Only one active ride allowed at a time for a driver';
-        console.error(errorMessage, { driver_id: req.user.id, existing_ride_id: existingRide.id });
-        return res.status(400).json({ error: errorMessage });
+        console.error('Error fetching ride request for dispatch:', err.message);
+        return done(err);
       }
-      db.get(
-        'SELECT * FROM RideRequest WHERE id = ? AND status = "requested" AND is_active = TRUE',
-        [req.params.id],
-        (err, rideRequest) => {
+      if (!rideRequest || (rideRequest.offered_driver_id || null) !== (currentDriverId || null)) return done(null, null);
+      db.run(
+        `UPDATE DispatchOffer SET status = 'withdrawn', responded_at = CURRENT_TIMESTAMP WHERE ride_request_id = ? AND status = 'offered'`,
+        [rideRequest.id],
+        (err) => {
           if (err) {
-            console.error('Error checking ride request:', err.message);
-            return res.status(500).json({ error: 'Database error' });
+            console.error('Error withdrawing dispatch offers:', err.message);
+            return done(err);
           }
-          if (!rideRequest) return res.status(400).json({ error: 'Ride request not available' });
-          db.run(
-            'INSERT INTO Ride (passenger_id, driver_id, pickup_location, drop_location, ride_type, payment, status, is_active, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [rideRequest.passenger_id, req.user.id, rideRequest.pickup_location, rideRequest.drop_location, rideRequest.ride_type, rideRequest.payment, 'accepted', true, rideRequest.created_at],
-            function (err) {
-              if (err) {
-                console.error('Error creating ride:', err.message);
-                return res.status(500).json({ error: 'Failed to accept ride' });
-              }
-              const rideId = this.lastID;
-              db.run(
-                'DELETE FROM RideRequest WHERE id = ?',
-                [req.params.id],
-                (err) => {
-                  if (err) {
-                    console.error('Error deleting ride request:', err.message);
-                    return res.status(500).json({ error: 'Failed to delete ride request' });
-                  }
-                  res.json({ message: 'Ride accepted', ride_id: rideId });
-                }
-              );
-            }
-          );
+          findNextDriver(rideRequest, done);
         }
       );
     }
   );
-});
-
-//=========================== Request to Reject a Ride Request ============================
+}
 
-app.post('/rides/:id/reject', authenticateBasic, (req, res) => {
-  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can reject rides' });
-  if (!req.user.is_available) return res.status(403).json({ error: 'Driver is not available to reject rides' });
-  db.get(
-    'SELECT * FROM RideRequest WHERE id = ? AND status = "requested" AND is_active = TRUE',
-    [req.params.id],
-    (err, rideRequest) => {
+function findNextDriver(rideRequest, done) {
+  db.all(
+    `SELECT id, current_lat, current_lng FROM User
+     WHERE type = 'driver' AND is_available = TRUE
+       AND (SELECT type FROM Vehicle WHERE Vehicle.id = User.active_vehicle_id) = ?
+       AND id NOT IN (SELECT driver_id FROM Ride WHERE is_active = TRUE)
+       AND id NOT IN (SELECT driver_id FROM DispatchOffer WHERE ride_request_id = ?)
+       AND id NOT IN (SELECT driver_id FROM RideRejection WHERE ride_request_id = ?)
+       AND id NOT IN (SELECT offered_driver_id FROM RideRequest
+                      WHERE offered_driver_id IS NOT NULL AND status = 'requested' AND is_active = TRUE AND id != ?)`,
+    [rideRequest.ride_type, rideRequest.id, rideRequest.id, rideRequest.id],
+    (err, drivers) => {
       if (err) {
-        console.error('Error checking ride request for rejection:', err.message);
-        return res.status(500).json({ error: 'Database error' });
+        console.error('Error finding drivers for dispatch:', err.message);
+        return done(err);
       }
-      if (!rideRequest) return res.status(400).json({ error: 'Ride request not available' });
+      const nearest = drivers
+        .filter((driver) => isValidCoordinate(driver.current_lat, driver.current_lng))
+        .map((driver) => ({ ...driver, distance_km: haversineKm(driver.current_lat, driver.current_lng, rideRequest.pickup_lat, rideRequest.pickup_lng) }))
+        .filter((driver) => driver.distance_km <= MATCH_RADIUS_KM)
+        .sort((a, b) => a.distance_km - b.distance_km)[0];
       db.run(
-        'INSERT INTO RideRejection (ride_request_id, driver_id) VALUES (?, ?)',
-        [req.params.id, req.user.id],
+        `UPDATE RideRequest SET offered_driver_id = ?, offer_expires_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END WHERE id = ?`,
+        [nearest ? nearest.id : null, nearest ? nearest.id : null, `+${DISPATCH_OFFER_SECONDS} seconds`, rideRequest.id],
         (err) => {
           if (err) {
-            console.error('Error recording rejection:', err.message);
-            return res.status(500).json({ error: 'Failed to record rejection' });
+            console.error('Error offering ride request:', err.message);
+            return done(err);
           }
-          res.json({ message: 'Ride request rejected' });
+          if (!nearest) return done(null, null);
+          db.run(
+            'INSERT INTO DispatchOffer (ride_request_id, driver_id, status) VALUES (?, ?, ?)',
+            [rideRequest.id, nearest.id, 'offered'],
+            (err) => {
+              if (err) {
+                console.error('Error recording dispatch offer:', err.message);
+                return done(err);
+              }
+              done(null, { driver_id: nearest.id, distance_km: nearest.distance_km, ride_request: rideRequest });
+            }
+          );
         }
       );
     }
   );
+}
+
+// done(err, closed) gets false when the offer had already been answered or closed.
+function closeDispatchOffer(rideRequestId, driverId, status, done) {
+  db.run(
+    `UPDATE DispatchOffer SET status = ?, responded_at = CURRENT_TIMESTAMP WHERE ride_request_id = ? AND driver_id = ? AND status = 'offered'`,
+    [status, rideRequestId, driverId],
+    function (err) {
+      if (err) {
+        console.error('Error closing dispatch offer:', err.message);
+        return done(err);
+      }
+      done(null, this.changes > 0);
+    }
+  );
+}
+
+function dispatchRideRequest(rideRequestId) {
+  runTransaction((done) => offerToNextDriver(rideRequestId, null, done), (err, offer) => {
+    if (err) return console.error('Error dispatching ride request:', err.message);
+    if (offer) notifyDispatchOffer(offer);
+  });
+}
+
+function notifyDispatchOffer(offer) {
+  const rideRequest = offer.ride_request;
+  notifyUser(offer.driver_id, 'ride_request.offered', {
+    ride_request_id: rideRequest.id,
+    pickup_location: rideRequest.pickup_location,
+    drop_location: rideRequest.drop_location,
+    ride_type: rideRequest.ride_type,
+    payment: rideRequest.payment,
+    pickup_at: rideRequest.pickup_at,
+    distance_km: Number(offer.distance_km.toFixed(2)),
+    eta_minutes: estimateEtaMinutes(offer.distance_km),
+    respond_within_seconds: DISPATCH_OFFER_SECONDS
+  });
+}
+
+//=========================== Background jobs ===========================
+
+// Runs fn(item, next) for each item in turn, then callback().
+function forEachSeries(items, fn, callback) {
+  const step = (index) => {
+    if (index >= items.length) return callback();
+    fn(items[index], () => step(index + 1));
+  };
+  step(0);
+}
+
+// A request released from a booking is open ahead of its pickup time, so its timeout counts
+// from pickup_at (or from a later requeue) rather than from the release.
+function expireStaleRequests(callback) {
+  db.all(
+    `SELECT id FROM RideRequest
+     WHERE status = 'requested' AND is_active = TRUE
+       AND MAX(COALESCE(requeued_at, created_at), COALESCE(pickup_at, created_at)) <= datetime('now', ?)`,
+    [`-${REQUEST_TIMEOUT_SECONDS} seconds`],
+    (err, staleRequests) => {
+      if (err) {
+        console.error('Error finding stale ride requests:', err.message);
+        return callback();
+      }
+      forEachSeries(staleRequests, (stale, next) => {
+        runTransaction((done) => expireRideRequest(stale.id, done), (err, rideRequest) => {
+          if (err) console.error('Error expiring ride request:', err.message);
+          if (rideRequest) {
+            notifyUser(rideRequest.passenger_id, 'ride_request.expired', { ride_request_id: rideRequest.id });
+            notifyAvailableDrivers('ride_request.removed', { ride_request_id: rideRequest.id, reason: 'expired' });
+          }
+          next();
+        });
+      }, callback);
+    }
+  );
+}
+
+function expireRideRequest(rideRequestId, done) {
+  db.get('SELECT * FROM RideRequest WHERE id = ?', [rideRequestId], (err, rideRequest) => {
+    if (err) return done(err);
+    db.run(
+      `UPDATE RideRequest SET status = 'expired', is_active = FALSE, offered_driver_id = NULL, offer_expires_at = NULL WHERE id = ? AND status = 'requested'`,
+      [rideRequestId],
+      function (err) {
+        if (err) return done(err);
+        if (this.changes === 0) return done(null, null);
+        recordRideEvent({ ride_request_id: rideRequestId, from_status: 'requested', to_status: 'expired' }, null, (err) => {
+          if (err) return done(err);
+          db.run(
+            `UPDATE DispatchOffer SET status = 'withdrawn', responded_at = CURRENT_TIMESTAMP WHERE ride_request_id = ? AND status = 'offered'`,
+            [rideRequestId],
+            (err) => {
+              if (err) return done(err);
+              releaseHold(rideRequest.passenger_id, rideRequestId, null, (err) => done(err, rideRequest));
+            }
+          );
+        });
+      }
+    );
+  });
+}
+
+// Sequential dispatch: moves timed-out offers on to the next driver, and retries requests
+// that found nobody free last time.
+function advanceDispatchOffers(callback) {
+  if (DISPATCH_MODE !== 'sequential') return callback();
+  db.all(
+    `SELECT id, offered_driver_id FROM RideRequest
+     WHERE status = 'requested' AND is_active = TRUE AND (offered_driver_id IS NULL OR offer_expires_at <= datetime('now'))`,
+    (err, rideRequests) => {
+      if (err) {
+        console.error('Error finding ride requests to dispatch:', err.message);
+        return callback();
+      }
+      forEachSeries(rideRequests, (rideRequest, next) => {
+        // The request was picked outside the transaction, so a reject, an accept or another
+        // dispatch may have got there first; the offer is only timed out if it is still open.
+        runTransaction((done) => {
+          if (!rideRequest.offered_driver_id) return offerToNextDriver(rideRequest.id, null, (err, offer) => done(err, { offer }));
+          closeDispatchOffer(rideRequest.id, rideRequest.offered_driver_id, 'timed_out', (err, closed) => {
+            if (err) return done(err);
+            if (!closed) return done(null, {});
+            offerToNextDriver(rideRequest.id, rideRequest.offered_driver_id, (err, offer) => done(err, { timed_out: true, offer }));
+          });
+        }, (err, result) => {
+          if (err) console.error('Error advancing dispatch offer:', err.message);
+          if (err) return next();
+          if (result.timed_out) notifyUser(rideRequest.offered_driver_id, 'ride_request.offer_expired', { ride_request_id: rideRequest.id });
+          if (result.offer) notifyDispatchOffer(result.offer);
+          next();
+        });
+      }, callback);
+    }
+  );
+}
+
+// Turns due bookings into open ride requests through the same path as POST /rides, so the
+// one-active-ride rule and the wallet hold apply. A booking that can't be released is
+// marked failed with the reason and the passenger is told.
+function releaseScheduledRides(callback) {
+  db.all(
+    `SELECT * FROM ScheduledRide WHERE status = 'scheduled' AND pickup_at <= datetime('now', ?) ORDER BY pickup_at`,
+    [`+${SCHEDULE_RELEASE_LEAD_MINUTES} minutes`],
+    (err, dueRides) => {
+      if (err) {
+        console.error('Error finding due scheduled rides:', err.message);
+        return callback();
+      }
+      forEachSeries(dueRides, (scheduled, next) => {
+        runTransaction((done) => releaseScheduledRide(scheduled, done), (err, result) => {
+          if (err) {
+            console.error('Error releasing scheduled ride:', err.message);
+            return next();
+          }
+          if (!result) return next();
+          if (result.failure_reason) {
+            notifyUser(scheduled.passenger_id, 'scheduled_ride.failed', { scheduled_ride_id: scheduled.id, reason: result.failure_reason });
+            return next();
+          }
+          notifyUser(scheduled.passenger_id, 'scheduled_ride.released', {
+            scheduled_ride_id: scheduled.id,
+            ride_request_id: result.rideRequest.id,
+            fare: result.rideRequest.fare
+          });
+          announceRideRequest(result.rideRequest, scheduled);
+          next();
+        });
+      }, callback);
+    }
+  );
+}
+
+// done(err, result) gets null when the passenger cancelled the booking in the meantime.
+function releaseScheduledRide(scheduled, done) {
+  db.run(
+    `UPDATE ScheduledRide SET status = 'released', released_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'scheduled'`,
+    [scheduled.id],
+    function (err) {
+      if (err) return done(err);
+      if (this.changes === 0) return done(null, null);
+      createNewRideRequest({ id: scheduled.passenger_id, type: 'passenger' }, scheduled, (err, rideRequest) => {
+        // Expected rejections (another active ride, low wallet balance) happen before anything
+        // is written, so the booking can be marked failed in the same transaction.
+        if (err && !err.status) return done(err);
+        const failureReason = err ? err.message : null;
+        db.run(
+          'UPDATE ScheduledRide SET status = ?, ride_request_id = ?, failure_reason = ? WHERE id = ?',
+          [err ? 'failed' : 'released', rideRequest ? rideRequest.id : null, failureReason, scheduled.id],
+          (err) => {
+            if (err) return done(err);
+            done(null, { rideRequest, failure_reason: failureReason });
+          }
+        );
+      });
+    }
+  );
+}
+
+function pruneSecurityCounters(callback) {
+  const now = Date.now();
+  for (const [key, entry] of loginFailures) {
+    const lockExpired = !entry.locked_until || entry.locked_until <= now;
+    if (lockExpired && now - entry.first_failed_at > LOGIN_FAILURE_WINDOW_SECONDS * 1000) loginFailures.delete(key);
+  }
+  for (const [key, counter] of rateLimitCounters) {
+    if (counter.resets_at <= now) rateLimitCounters.delete(key);
+  }
+  callback();
+}
+
+const BACKGROUND_JOBS = [releaseScheduledRides, expireStaleRequests, advanceDispatchOffers, pruneSecurityCounters];
+let backgroundSweepRunning = false;
+
+function runBackgroundSweep() {
+  if (backgroundSweepRunning) return;
+  backgroundSweepRunning = true;
+  forEachSeries(BACKGROUND_JOBS, (job, next) => job(next), () => {
+    backgroundSweepRunning = false;
+  });
+}
+
+// =========================== Request to Register =========================================
+
+// A single @ with something on both sides and a dot in the domain.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// bcrypt ignores anything past 72 bytes, so longer passwords are refused rather than truncated.
+function isStrongPassword(password) {
+  return typeof password === 'string' && password.length >= 8 && Buffer.byteLength(password) <= 72 &&
+    /[a-z]/.test(password) && /[A-Z]/.test(password) && /\d/.test(password);
+}
+
+app.post('/register', limitRegistrations, (req, res) => {
+  const { name, email, password, type } = req.body || {};
+  if (!name || !email || !password || !type || !['passenger', 'driver'].includes(type)) {
+    return res.status(400).json({ error: 'Invalid input' });
+  }
+  if (typeof email !== 'string' || email.length > 254 || !EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
+  if (!isStrongPassword(password)) {
+    return res.status(400).json({ error: 'Password must be 8-72 characters and include an uppercase letter, a lowercase letter and a digit' });
+  }
+  bcrypt.hash(password, SALT_ROUNDS, (err, hash) => {
+    if (err) {
+      console.error('Error hashing password:', err.message);
+      return res.status(500).json({ error: 'Failed to register user' });
+    }
+    runTransaction((done) => {
+      db.run(
+        'INSERT INTO User (name, email, password, type, is_available, balance) VALUES (?, ?, ?, ?, ?, ?)',
+        [name, email, hash, type, type === 'driver' ? true : null, 0.0],
+        function (err) {
+          if (err) {
+            console.error('Error registering user:', err.message);
+            return done(httpError(400, 'Email already exists'));
+          }
+          // Drivers start out available, which counts towards their online hours.
+          if (type !== 'driver') return done(null);
+          logAvailability(this.lastID, true, done);
+        }
+      );
+    }, (err) => {
+      if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to register user' });
+      res.status(201).json({ message: 'User registered' });
+    });
+  });
+});
+
+// =========================== Request to Login (exchanges Basic Auth credentials for tokens) ===========================================  
+app.post('/login', authenticateBasic, (req, res) => {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  runWrite(
+    `INSERT INTO Session (user_id, refresh_token_hash, expires_at) VALUES (?, ?, datetime('now', ?))`,
+    [req.user.id, hashRefreshToken(refreshToken), `+${REFRESH_TOKEN_TTL_SECONDS} seconds`],
+    function (err) {
+      if (err) {
+        console.error('Error creating session:', err.message);
+        return res.status(500).json({ error: 'Failed to create session' });
+      }
+      const sessionId = this.lastID;
+      getRatingSummary(req.user.id, (err, rating) => {
+        if (err) {
+          console.error('Error fetching rating summary:', err.message);
+          return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({
+          message: 'Login successful',
+          user: {
+            id: req.user.id,
+            type: req.user.type,
+            is_available: req.user.is_available,
+            balance: req.user.balance,
+            average_rating: rating.average_rating,
+            rating_count: rating.rating_count
+          },
+          ...tokenResponse(req.user.id, sessionId, refreshToken)
+        });
+      });
+    }
+  );
+});
+
+// =========================== Request to Refresh an Access Token ===========================
+
+app.post('/token/refresh', (req, res) => {
+  const { refresh_token } = req.body || {};
+  if (typeof refresh_token !== 'string' || !refresh_token) {
+    return res.status(400).json({ error: 'refresh_token is required' });
+  }
+  db.get(
+    `SELECT * FROM Session WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > datetime('now')`,
+    [hashRefreshToken(refresh_token)],
+    (err, session) => {
+      if (err) {
+        console.error('Error fetching session:', err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (!session) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+      // Refresh tokens are single use: rotate it so a leaked copy stops working.
+      const newRefreshToken = crypto.randomBytes(32).toString('hex');
+      runWrite(
+        `UPDATE Session SET refresh_token_hash = ?, expires_at = datetime('now', ?) WHERE id = ? AND refresh_token_hash = ?`,
+        [hashRefreshToken(newRefreshToken), `+${REFRESH_TOKEN_TTL_SECONDS} seconds`, session.id, session.refresh_token_hash],
+        function (err) {
+          if (err) {
+            console.error('Error rotating refresh token:', err.message);
+            return res.status(500).json({ error: 'Failed to refresh token' });
+          }
+          if (this.changes === 0) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+          res.json(tokenResponse(session.user_id, session.id, newRefreshToken));
+        }
+      );
+    }
+  );
+});
+
+// =========================== Request to Logout (revoke sessions) ===========================
+
+app.post('/logout', authenticate, (req, res) => {
+  const { refresh_token, all } = req.body || {};
+  if (refresh_token !== undefined && refresh_token !== null && typeof refresh_token !== 'string') {
+    return res.status(400).json({ error: 'refresh_token must be a string' });
+  }
+  let query;
+  let params;
+  if (all === true) {
+    query = 'UPDATE Session SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL';
+    params = [req.user.id];
+  } else if (refresh_token) {
+    query = 'UPDATE Session SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND refresh_token_hash = ? AND revoked_at IS NULL';
+    params = [req.user.id, hashRefreshToken(refresh_token)];
+  } else if (req.user.session_id) {
+    query = 'UPDATE Session SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id = ? AND revoked_at IS NULL';
+    params = [req.user.id, req.user.session_id];
+  } else {
+    return res.status(400).json({ error: 'Provide refresh_token or all: true when logging out with Basic credentials' });
+  }
+  runWrite(query, params, function (err) {
+    if (err) {
+      console.error('Error revoking session:', err.message);
+      return res.status(500).json({ error: 'Failed to logout' });
+    }
+    res.json({ message: 'Logged out', revoked_sessions: this.changes });
+  });
+});
+
+//=========================== Request to Request a Ride ========================================
+app.post('/rides', authenticate, idempotent, limitRideRequests, (req, res) => {
+  if (req.user.type !== 'passenger') return res.status(403).json({ error: 'Only passengers can request rides' });
+  const { pickup_location, drop_location, pickup_lat, pickup_lng, drop_lat, drop_lng, ride_type, promo_code } = req.body;
+  if (!pickup_location || !drop_location || !['bike', 'car', 'rickshaw'].includes(ride_type)) {
+    return res.status(400).json({ error: 'Invalid ride details' });
+  }
+  if (!isValidCoordinate(pickup_lat, pickup_lng) || !isValidCoordinate(drop_lat, drop_lng)) {
+    return res.status(400).json({ error: 'Pickup and drop coordinates must be valid latitude/longitude numbers' });
+  }
+  if (promo_code !== undefined && promo_code !== null && (typeof promo_code !== 'string' || !promo_code.trim())) {
+    return res.status(400).json({ error: 'Invalid promo code' });
+  }
+  const ride = { pickup_location, drop_location, pickup_lat, pickup_lng, drop_lat, drop_lng, ride_type, promo_code };
+  runTransaction((done) => createNewRideRequest(req.user, ride, done), (err, rideRequest) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to request ride' });
+    res.status(201).json({ ride_request_id: rideRequest.id, fare: rideRequest.fare });
+    announceRideRequest(rideRequest, ride);
+  });
+});
+
+// Lets drivers know about a newly opened request, either all nearby drivers or, with
+// sequential dispatch, the first driver in line.
+function announceRideRequest(rideRequest, ride) {
+  if (DISPATCH_MODE === 'sequential') return dispatchRideRequest(rideRequest.id);
+  notifyAvailableDrivers('ride_request.created', {
+    ride_request_id: rideRequest.id,
+    pickup_location: ride.pickup_location,
+    drop_location: ride.drop_location,
+    ride_type: ride.ride_type,
+    payment: rideRequest.fare.total,
+    pickup_at: ride.pickup_at || null
+  }, ride);
+}
+
+//=========================== Helper function to create a new ride request ===========================
+
+// Runs inside a transaction so the one-active-ride checks and the insert can't interleave
+// with another request from the same passenger.
+function createNewRideRequest(passenger, ride, done) {
+  db.get(
+    'SELECT * FROM RideRequest WHERE passenger_id = ? AND is_active = TRUE',
+    [passenger.id],
+    (err, existingRequest) => {
+      if (err) {
+        console.error('Error checking existing ride request:', err.message);
+        return done(err);
+      }
+      if (existingRequest) {
+        const errorMessage = 'Only one active ride request allowed at a time';
+        console.error(errorMessage, { passenger_id: passenger.id, existing_request_id: existingRequest.id });
+        return done(httpError(400, errorMessage));
+      }
+      db.get(
+        'SELECT * FROM Ride WHERE passenger_id = ? AND is_active = TRUE',
+        [passenger.id],
+        (err, existingRide) => {
+          if (err) {
+            console.error('Error checking existing ride:', err.message);
+            return done(err);
+          }
+          if (existingRide) {
+            const errorMessage = 'Only one active ride allowed at a time';
+            console.error(errorMessage, { passenger_id: passenger.id, existing_ride_id: existingRide.id });
+            return done(httpError(400, errorMessage));
+          }
+          getSurgeMultiplier((err, surgeMultiplier) => {
+            if (err) {
+              console.error('Error computing surge multiplier:', err.message);
+              return done(err);
+            }
+            const fare = quoteTrip(ride, ride.ride_type, surgeMultiplier);
+            resolvePromoCode(passenger.id, ride.promo_code, fare, (err, promo) => {
+              if (err) return done(err);
+              insertRideRequest(passenger, ride, fare, promo, done);
+            });
+          });
+        }
+      );
+    }
+  );
+}
+
+// Checks the wallet covers what the passenger pays, then stores the request and holds that
+// amount. payment stays the full fare; a promo discount is stored alongside it.
+function insertRideRequest(passenger, ride, fare, promo, done) {
+  const discount = promo ? promo.discount : 0;
+  const payable = roundMoney(fare.total - discount);
+  db.get('SELECT balance FROM User WHERE id = ?', [passenger.id], (err, wallet) => {
+    if (err) {
+      console.error('Error fetching wallet balance:', err.message);
+      return done(err);
+    }
+    if (wallet.balance < payable) {
+      return done(httpError(402, `Insufficient wallet balance: fare is ${payable}, wallet has ${wallet.balance}`));
+    }
+    db.run(
+      'INSERT INTO RideRequest (passenger_id, pickup_location, drop_location, pickup_lat, pickup_lng, drop_lat, drop_lng, ride_type, payment, discount, trip_distance_km, trip_duration_minutes, surge_multiplier, status, is_active, pickup_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [passenger.id, ride.pickup_location, ride.drop_location, ride.pickup_lat, ride.pickup_lng, ride.drop_lat, ride.drop_lng, ride.ride_type, fare.total, discount, fare.distance_km, fare.duration_minutes, fare.surge_multiplier, 'requested', true, ride.pickup_at || null],
+      function (err) {
+        if (err) {
+          console.error('Error creating ride request:', err.message);
+          return done(err);
+        }
+        const rideRequestId = this.lastID;
+        recordRideEvent({ ride_request_id: rideRequestId, to_status: 'requested' }, passenger, (err) => {
+          if (err) {
+            console.error('Error recording ride event:', err.message);
+            return done(err);
+          }
+          redeemPromoCode(promo, passenger.id, rideRequestId, (err) => {
+            if (err) return done(err);
+            const pricedFare = { ...fare, promo_code: promo ? promo.code : null, discount, payable };
+            if (payable <= 0) return done(null, { id: rideRequestId, fare: pricedFare });
+            placeHold(passenger.id, rideRequestId, payable, (err) => {
+              if (err) return done(err);
+              done(null, { id: rideRequestId, fare: pricedFare });
+            });
+          });
+        });
+      }
+    );
+  });
+}
+
+//=========================== Helper functions for promo codes ===========================
+
+const normalizePromoCode = (code) => code.trim().toUpperCase();
+
+// Must run inside runTransaction. Checks the code is usable by this passenger for this fare
+// and works out the discount. done(err, promo) gets null when no code was given. Uses of
+// requests that were cancelled or expired don't count towards the limits.
+function resolvePromoCode(passengerId, code, fare, done) {
+  if (code === undefined || code === null) return done(null, null);
+  db.get(
+    `SELECT *, expires_at IS NOT NULL AND expires_at <= datetime('now') AS expired,
+       (SELECT COUNT(*) FROM PromoRedemption WHERE promo_code_id = PromoCode.id AND status != 'released') AS uses,
+       (SELECT COUNT(*) FROM PromoRedemption WHERE promo_code_id = PromoCode.id AND status != 'released' AND passenger_id = ?) AS passenger_uses
+     FROM PromoCode WHERE code = ?`,
+    [passengerId, normalizePromoCode(code)],
+    (err, promo) => {
+      if (err) {
+        console.error('Error fetching promo code:', err.message);
+        return done(err);
+      }
+      if (!promo || !promo.is_active) return done(httpError(400, 'Invalid promo code'));
+      if (promo.expired) return done(httpError(400, 'Promo code has expired'));
+      if (promo.ride_types && !promo.ride_types.split(',').includes(fare.ride_type)) {
+        return done(httpError(400, `Promo code is not valid for ${fare.ride_type} rides`));
+      }
+      if (promo.max_uses !== null && promo.uses >= promo.max_uses) return done(httpError(400, 'Promo code is no longer available'));
+      if (promo.passenger_uses >= promo.max_uses_per_user) return done(httpError(400, 'You have already used this promo code'));
+      done(null, { id: promo.id, code: promo.code, discount: computeDiscount(promo, fare.total) });
+    }
+  );
+}
+
+function redeemPromoCode(promo, passengerId, rideRequestId, done) {
+  if (!promo) return done(null);
+  db.run(
+    'INSERT INTO PromoRedemption (promo_code_id, passenger_id, ride_request_id, discount) VALUES (?, ?, ?, ?)',
+    [promo.id, passengerId, rideRequestId, promo.discount],
+    (err) => {
+      if (err) console.error('Error recording promo redemption:', err.message);
+      done(err);
+    }
+  );
+}
+
+//=========================== Request to Estimate a Fare ===========================
+
+app.post('/rides/estimate', authenticate, (req, res) => {
+  if (req.user.type !== 'passenger') return res.status(403).json({ error: 'Only passengers can estimate fares' });
+  const { pickup_lat, pickup_lng, drop_lat, drop_lng, ride_type } = req.body;
+  if (ride_type !== undefined && !['bike', 'car', 'rickshaw'].includes(ride_type)) {
+    return res.status(400).json({ error: 'Invalid ride type' });
+  }
+  if (!isValidCoordinate(pickup_lat, pickup_lng) || !isValidCoordinate(drop_lat, drop_lng)) {
+    return res.status(400).json({ error: 'Pickup and drop coordinates must be valid latitude/longitude numbers' });
+  }
+  getSurgeMultiplier((err, surgeMultiplier) => {
+    if (err) {
+      console.error('Error computing surge multiplier:', err.message);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    const trip = { pickup_lat, pickup_lng, drop_lat, drop_lng };
+    if (ride_type) return res.json(quoteTrip(trip, ride_type, surgeMultiplier));
+    res.json(Object.keys(FARE_RATES).map((type) => quoteTrip(trip, type, surgeMultiplier)));
+  });
+});
+
+//=========================== Request to Schedule a Ride ===========================
+
+// Stored as UTC 'YYYY-MM-DD HH:MM:SS' so it compares directly with SQLite's datetime('now').
+const toSqlTimestamp = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+app.post('/rides/scheduled', authenticate, (req, res) => {
+  if (req.user.type !== 'passenger') return res.status(403).json({ error: 'Only passengers can schedule rides' });
+  const { pickup_location, drop_location, pickup_lat, pickup_lng, drop_lat, drop_lng, ride_type, pickup_at } = req.body || {};
+  if (!pickup_location || !drop_location || !['bike', 'car', 'rickshaw'].includes(ride_type)) {
+    return res.status(400).json({ error: 'Invalid ride details' });
+  }
+  if (!isValidCoordinate(pickup_lat, pickup_lng) || !isValidCoordinate(drop_lat, drop_lng)) {
+    return res.status(400).json({ error: 'Pickup and drop coordinates must be valid latitude/longitude numbers' });
+  }
+  const pickupAt = new Date(pickup_at);
+  if (typeof pickup_at !== 'string' || Number.isNaN(pickupAt.getTime())) {
+    return res.status(400).json({ error: 'pickup_at must be an ISO 8601 date-time' });
+  }
+  const minutesAhead = (pickupAt.getTime() - Date.now()) / 60000;
+  if (minutesAhead <= SCHEDULE_RELEASE_LEAD_MINUTES) {
+    return res.status(400).json({ error: `pickup_at must be more than ${SCHEDULE_RELEASE_LEAD_MINUTES} minutes ahead; request the ride now instead` });
+  }
+  if (minutesAhead > SCHEDULE_MAX_DAYS_AHEAD * 24 * 60) {
+    return res.status(400).json({ error: `pickup_at can be at most ${SCHEDULE_MAX_DAYS_AHEAD} days ahead` });
+  }
+  runWrite(
+    'INSERT INTO ScheduledRide (passenger_id, pickup_location, drop_location, pickup_lat, pickup_lng, drop_lat, drop_lng, ride_type, pickup_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [req.user.id, pickup_location, drop_location, pickup_lat, pickup_lng, drop_lat, drop_lng, ride_type, toSqlTimestamp(pickupAt)],
+    function (err) {
+      if (err) {
+        console.error('Error scheduling ride:', err.message);
+        return res.status(500).json({ error: 'Failed to schedule ride' });
+      }
+      // The fare is priced (with surge) and held only when the booking is released.
+      res.status(201).json({
+        scheduled_ride_id: this.lastID,
+        pickup_at: toSqlTimestamp(pickupAt),
+        estimated_fare: quoteTrip({ pickup_lat, pickup_lng, drop_lat, drop_lng }, ride_type, 1)
+      });
+    }
+  );
+});
+
+//=========================== Request to List Scheduled Rides ===========================
+
+app.get('/rides/scheduled', authenticate, (req, res) => {
+  if (req.user.type !== 'passenger') return res.status(403).json({ error: 'Only passengers can view scheduled rides' });
+  // Upcoming bookings by default; ?status=all includes released, cancelled and failed ones.
+  const statusFilter = req.query.status === 'all' ? '' : ` AND status = 'scheduled'`;
+  db.all(
+    `SELECT * FROM ScheduledRide WHERE passenger_id = ?${statusFilter} ORDER BY pickup_at`,
+    [req.user.id],
+    (err, scheduledRides) => {
+      if (err) {
+        console.error('Error fetching scheduled rides:', err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      res.json(scheduledRides);
+    }
+  );
+});
+
+//=========================== Request to Cancel a Scheduled Ride ===========================
+
+app.post('/rides/scheduled/:id/cancel', authenticate, (req, res) => {
+  if (req.user.type !== 'passenger') return res.status(403).json({ error: 'Only passengers can cancel scheduled rides' });
+  runWrite(
+    `UPDATE ScheduledRide SET status = 'cancelled' WHERE id = ? AND passenger_id = ? AND status = 'scheduled'`,
+    [req.params.id, req.user.id],
+    function (err) {
+      if (err) {
+        console.error('Error cancelling scheduled ride:', err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      // Once released, the booking is an ordinary ride request and is cancelled via /rides/:id/cancel.
+      if (this.changes === 0) return res.status(400).json({ error: 'No upcoming scheduled ride found' });
+      res.json({ message: 'Scheduled ride cancelled' });
+    }
+  );
+});
+
+// =========================== Request to Get Current Ride or Request ===========================
+
+app.get('/rides/current', authenticate, (req, res) => {
+  if (req.user.type !== 'passenger') return res.status(403).json({ error: 'Only passengers can view current ride' });
+  db.get(
+    'SELECT * FROM RideRequest WHERE passenger_id = ? AND is_active = TRUE ORDER BY created_at DESC LIMIT 1',
+    [req.user.id],
+    (err, rideRequest) => {
+      if (err) {
+        console.error('Error fetching current ride request:', err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (rideRequest) {
+        return res.json({ ...rideRequest, source: 'RideRequest' });
+      }
+      db.get(
+        `SELECT Ride.*, ${DRIVER_RATING_COLUMNS} FROM Ride WHERE passenger_id = ? AND is_active = TRUE ORDER BY created_at DESC LIMIT 1`,
+        [req.user.id],
+        (err, ride) => {
+          if (err) {
+            console.error('Error fetching current ride:', err.message);
+            return res.status(500).json({ error: 'Database error' });
+          }
+          res.json(ride ? { ...ride, source: 'Ride' } : null);
+        }
+      );
+    }
+  );
+});
+
+//=========================== Helper functions for paginated listings ===========================
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// A cursor is the sort key of the last row on the previous page, opaque to clients.
+const encodeCursor = (row, keys) => base64url(JSON.stringify(keys.map((key) => row[key])));
+
+function decodeCursor(cursor, keys) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Array.isArray(values) && values.length === keys.length ? values : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Accepts 'YYYY-MM-DD' or a full ISO 8601 date-time. A bare date used as the upper bound
+// covers that whole day.
+function parseDateBound(value, isUpperBound) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (dateOnly && isUpperBound) date.setUTCDate(date.getUTCDate() + 1);
+  return toSqlTimestamp(date);
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas.
+const CSV_FORMULA_PREFIX = /^[=+\-@]/;
+
+function toCsv(rows, columns) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map((row) => columns.map((column) => escape(row[column])).join(','))].join('\r\n') + '\r\n';
+}
+
+// Serves listing.sql newest first, filtered by ?from, ?to and listing.filters, a page at a
+// time. The next page's cursor goes in the X-Next-Cursor header so the body stays an array.
+// ?format=csv returns every matching row as a file instead.
+function sendListing(req, res, listing) {
+  const { cursor, from, to, format } = req.query;
+  const conditions = [];
+  const params = [...listing.params];
+  for (const [name, allowed] of Object.entries(listing.filters)) {
+    const value = req.query[name];
+    if (value === undefined) continue;
+    if (!allowed.includes(value)) return res.status(400).json({ error: `${name} must be one of: ${allowed.join(', ')}` });
+    conditions.push(`${name} = ?`);
+    params.push(value);
+  }
+  for (const [value, isUpperBound] of [[from, false], [to, true]]) {
+    if (value === undefined) continue;
+    const bound = parseDateBound(value, isUpperBound);
+    if (!bound) return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD) or ISO 8601 date-times' });
+    conditions.push(isUpperBound ? 'created_at < ?' : 'created_at >= ?');
+    params.push(bound);
+  }
+  if (format !== undefined && format !== 'csv') return res.status(400).json({ error: 'format must be csv' });
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+  }
+  if (cursor !== undefined && format !== 'csv') {
+    const after = decodeCursor(cursor, listing.keys);
+    if (!after) return res.status(400).json({ error: 'Invalid cursor' });
+    conditions.push(`(${listing.keys.join(', ')}) < (${listing.keys.map(() => '?').join(', ')})`);
+    params.push(...after);
+  }
+  const pageClause = format === 'csv' ? '' : ` LIMIT ${limit + 1}`;
+  db.all(
+    `SELECT * FROM (${listing.sql}) AS listing ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY ${listing.keys.map((key) => `${key} DESC`).join(', ')}${pageClause}`,
+    params,
+    (err, rows) => {
+      if (err) {
+        console.error(`Error fetching ${listing.name}:`, err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (format === 'csv') {
+        res.attachment(`${listing.name.replace(/ /g, '-')}.csv`);
+        return res.type('text/csv').send(toCsv(rows, listing.csvColumns));
+      }
+      if (rows.length > limit) {
+        rows.pop();
+        res.set('X-Next-Cursor', encodeCursor(rows[rows.length - 1], listing.keys));
+      }
+      res.json(rows);
+    }
+  );
+}
+
+// =========================== Request to Get Ride History ===========================
+
+app.get('/rides/history', authenticate, (req, res) => {
+  if (req.user.type === 'passenger') return sendListing(req, res, passengerHistoryListing(req.user.id));
+  if (req.user.type === 'driver') return sendListing(req, res, driverHistoryListing(req.user.id));
+  res.status(403).json({ error: 'Only passengers and drivers can view history' });
+});
+
+// Requests that never became a ride, plus finished rides.
+function passengerHistoryListing(passengerId) {
+  return {
+    name: 'ride history',
+    sql: `SELECT id, passenger_id, NULL AS driver_id, pickup_location, drop_location, ride_type, payment, status, is_active, created_at, 
+       cancel_reason, cancelled_by, NULL AS driver_name, NULL AS driver_rating, NULL AS driver_rating_count, 'RideRequest' AS source
+FROM RideRequest 
+WHERE passenger_id = ? AND status IN ('cancelled', 'expired')
+UNION ALL
+SELECT id, passenger_id, driver_id, pickup_location, drop_location, ride_type, payment, status, is_active, created_at, 
+       cancel_reason, cancelled_by, ${DRIVER_RATING_COLUMNS}, 'Ride' AS source 
+FROM Ride 
+WHERE passenger_id = ? AND status IN ('completed', 'cancelled')`,
+    params: [passengerId, passengerId],
+    keys: ['created_at', 'source', 'id'],
+    filters: { status: ['completed', 'cancelled', 'expired'], ride_type: Object.keys(FARE_RATES) },
+    csvColumns: ['created_at', 'source', 'id', 'status', 'ride_type', 'pickup_location', 'drop_location', 'payment', 'driver_name', 'cancel_reason', 'cancelled_by']
+  };
+}
+
+// earnings is what the driver was paid for the ride: the net fare, or a cancellation fee.
+function driverHistoryListing(driverId) {
+  return {
+    name: 'driver ride history',
+    sql: `SELECT id, passenger_id, driver_id, pickup_location, drop_location, ride_type, payment, status, is_active, created_at,
+       cancel_reason, cancelled_by, vehicle_id,
+       (SELECT name FROM User WHERE User.id = Ride.passenger_id) AS passenger_name,
+       (SELECT COALESCE(SUM(net_amount), 0) FROM Payment WHERE Payment.ride_id = Ride.id) AS earnings
+FROM Ride
+WHERE driver_id = ? AND status IN ('completed', 'cancelled')`,
+    params: [driverId],
+    keys: ['created_at', 'id'],
+    filters: { status: ['completed', 'cancelled'], ride_type: Object.keys(FARE_RATES) },
+    csvColumns: ['created_at', 'id', 'status', 'ride_type', 'pickup_location', 'drop_location', 'passenger_name', 'payment', 'earnings', 'cancel_reason', 'cancelled_by']
+  };
+}
+
+//=========================== Request to Get Driver Balance ===========================
+
+app.get('/users/balance', authenticate, (req, res) => {
+  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can view balance' });
+  res.json({ balance: req.user.balance });
+});
+
+//=========================== Request to Get Available Ride Requests ===========================
+
+app.get('/rides/available', authenticate, (req, res) => {
+  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can view available rides' });
+  if (!req.user.is_available) return res.status(403).json({ error: 'Driver is not available' });
+  if (!req.user.active_vehicle_type) {
+    return res.status(400).json({ error: 'No active vehicle; register one via POST /users/vehicles' });
+  }
+  const { current_lat, current_lng } = req.user;
+  if (!isValidCoordinate(current_lat, current_lng)) {
+    return res.status(400).json({ error: 'Driver location not set; update it via PUT /users/location' });
+  }
+  // With sequential dispatch a driver only sees the request currently offered to them.
+  const offerFilter = DISPATCH_MODE === 'sequential' ? ` AND offered_driver_id = ${Number(req.user.id)} AND offer_expires_at > datetime('now')` : '';
+  db.all(
+    `SELECT * FROM RideRequest WHERE status = "requested" AND is_active = TRUE AND ride_type = ? AND id NOT IN (SELECT ride_request_id FROM RideRejection WHERE driver_id = ?)${offerFilter}`,
+    [req.user.active_vehicle_type, req.user.id],
+    (err, rideRequests) => {
+      if (err) {
+        console.error('Error fetching available ride requests:', err.message);
+        return res.status(500).json({ error: 'Database error', details: err.message });
+      }
+      const nearby = rideRequests
+        .filter((rideRequest) => isValidCoordinate(rideRequest.pickup_lat, rideRequest.pickup_lng))
+        .map((rideRequest) => {
+          const distanceKm = haversineKm(current_lat, current_lng, rideRequest.pickup_lat, rideRequest.pickup_lng);
+          return { ...rideRequest, distance_km: Number(distanceKm.toFixed(2)), eta_minutes: estimateEtaMinutes(distanceKm) };
+        })
+        .filter((rideRequest) => rideRequest.distance_km <= MATCH_RADIUS_KM)
+        .sort((a, b) => a.distance_km - b.distance_km);
+      res.json(nearby);
+    }
+  );
+});
+
+//=========================== Request to Accept a Ride Request ===========================
+
+app.post('/rides/:id/accept', authenticate, idempotent, limitRideResponses, (req, res) => {
+  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can accept rides' });
+  if (!req.user.is_available) return res.status(403).json({ error: 'Driver is not available to accept rides' });
+  if (!req.user.active_vehicle_type) {
+    return res.status(400).json({ error: 'No active vehicle; register one via POST /users/vehicles' });
+  }
+  runTransaction((done) => acceptRideRequest(req.user, req.params.id, done), (err, ride) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to accept ride' });
+    res.json({ message: 'Ride accepted', ride_id: ride.id });
+    notifyUser(ride.passenger_id, 'ride.accepted', { ride_id: ride.id, ride_request_id: ride.ride_request_id, driver_id: req.user.id });
+    notifyAvailableDrivers('ride_request.removed', { ride_request_id: ride.ride_request_id, reason: 'accepted' });
+  });
+});
+
+//=========================== Helper function to turn a ride request into a ride ===========================
+
+// The RideRequest is closed with a conditional update, so when two drivers race only
+// one of them gets a row changed and goes on to create the Ride.
+function acceptRideRequest(driver, rideRequestId, done) {
+  db.get(
+    'SELECT * FROM Ride WHERE driver_id = ? AND is_active = TRUE',
+    [driver.id],
+    (err, existingRide) => {
+      if (err) {
+        console.error('Error checking existing ride for driver:', err.message);
+        return done(err);
+      }
+      if (existingRide) {
+        const errorMessage = 'Only one active ride allowed at a time for a driver';
+        console.error(errorMessage, { driver_id: driver.id, existing_ride_id: existingRide.id });
+        return done(httpError(400, errorMessage));
+      }
+      db.get(
+        `SELECT *, offer_expires_at > datetime('now') AS offer_open FROM RideRequest WHERE id = ? AND status = "requested" AND is_active = TRUE`,
+        [rideRequestId],
+        (err, rideRequest) => {
+          if (err) {
+            console.error('Error checking ride request:', err.message);
+            return done(err);
+          }
+          if (!rideRequest) return done(httpError(400, 'Ride request not available'));
+          if (DISPATCH_MODE === 'sequential' && (rideRequest.offered_driver_id !== driver.id || !rideRequest.offer_open)) {
+            return done(httpError(403, 'Ride request is not currently offered to you'));
+          }
+          if (rideRequest.ride_type !== driver.active_vehicle_type) {
+            return done(httpError(400, `Ride request needs a ${rideRequest.ride_type}, but your active vehicle is a ${driver.active_vehicle_type}`));
+          }
+          db.run(
+            'UPDATE RideRequest SET status = "accepted", is_active = FALSE WHERE id = ? AND status = "requested" AND is_active = TRUE',
+            [rideRequest.id],
+            function (err) {
+              if (err) {
+                console.error('Error closing ride request:', err.message);
+                return done(err);
+              }
+              if (this.changes === 0) return done(httpError(409, 'Ride request was accepted by another driver'));
+              db.run(
+                'INSERT INTO Ride (ride_request_id, passenger_id, driver_id, vehicle_id, pickup_location, drop_location, pickup_lat, pickup_lng, drop_lat, drop_lng, ride_type, payment, discount, trip_distance_km, trip_duration_minutes, surge_multiplier, status, is_active, created_at, accepted_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+                [rideRequest.id, rideRequest.passenger_id, driver.id, driver.active_vehicle_id, rideRequest.pickup_location, rideRequest.drop_location, rideRequest.pickup_lat, rideRequest.pickup_lng, rideRequest.drop_lat, rideRequest.drop_lng, rideRequest.ride_type, rideRequest.payment, rideRequest.discount, rideRequest.trip_distance_km, rideRequest.trip_duration_minutes, rideRequest.surge_multiplier, 'accepted', true, rideRequest.created_at],
+                function (err) {
+                  if (err) {
+                    console.error('Error creating ride:', err.message);
+                    return done(err);
+                  }
+                  const rideId = this.lastID;
+                  recordRideEvent({ ride_request_id: rideRequest.id, ride_id: rideId, from_status: 'requested', to_status: 'accepted' }, driver, (err) => {
+                    if (err) {
+                      console.error('Error recording ride event:', err.message);
+                      return done(err);
+                    }
+                    closeDispatchOffer(rideRequest.id, driver.id, 'accepted', (err) => {
+                      if (err) return done(err);
+                      done(null, { id: rideId, ride_request_id: rideRequest.id, passenger_id: rideRequest.passenger_id });
+                    });
+                  });
+                }
+              );
+            }
+          );
+        }
+      );
+    }
+  );
+}
+
+//=========================== Request to Reject a Ride Request ============================
+
+app.post('/rides/:id/reject', authenticate, limitRideResponses, (req, res) => {
+  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can reject rides' });
+  if (!req.user.is_available) return res.status(403).json({ error: 'Driver is not available to reject rides' });
+  runTransaction((done) => rejectRideRequest(req.user, req.params.id, done), (err, nextOffer) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to record rejection' });
+    res.json({ message: 'Ride request rejected' });
+    if (nextOffer) notifyDispatchOffer(nextOffer);
+  });
+});
+
+//=========================== Helper function to reject a ride request ===========================
+
+// When the rejecting driver holds the sequential dispatch offer, it moves on to the next driver.
+function rejectRideRequest(driver, rideRequestId, done) {
+  db.get(
+    'SELECT * FROM RideRequest WHERE id = ? AND status = "requested" AND is_active = TRUE',
+    [rideRequestId],
+    (err, rideRequest) => {
+      if (err) {
+        console.error('Error checking ride request for rejection:', err.message);
+        return done(err);
+      }
+      if (!rideRequest) return done(httpError(400, 'Ride request not available'));
+      db.run(
+        'INSERT INTO RideRejection (ride_request_id, driver_id, created_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+        [rideRequest.id, driver.id],
+        (err) => {
+          if (err) {
+            console.error('Error recording rejection:', err.message);
+            return done(err);
+          }
+          if (rideRequest.offered_driver_id !== driver.id) return done(null, null);
+          closeDispatchOffer(rideRequest.id, driver.id, 'rejected', (err) => {
+            if (err) return done(err);
+            offerToNextDriver(rideRequest.id, driver.id, done);
+          });
+        }
+      );
+    }
+  );
+}
+
+// =========================== Request to Update Ride Status ===========================
+
+app.post('/rides/:id/update_status', authenticate, idempotent, (req, res) => {
+  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can update status' });
+  const { status, reason } = req.body;
+  if (!['in_progress', 'completed', 'cancelled'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+  if (!isValidCancelReason(reason)) {
+    return res.status(400).json({ error: `Reason must be text of at most ${MAX_CANCEL_REASON_LENGTH} characters` });
+  }
+  const cancelReason = status === 'cancelled' ? normalizeCancelReason(reason) : null;
+  runTransaction((done) => updateRideStatus(req.user, req.params.id, status, cancelReason, done), (err, ride) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Status update failed' });
+    if (status === 'completed') {
+      res.json({
+        message: 'Status updated and payment processed',
+        amount: ride.net_amount,
+        gross_amount: ride.gross_amount,
+        commission: ride.commission,
+        net_amount: ride.net_amount
+      });
+    } else if (ride.requeued_request) {
+      res.json({ message: 'Status updated; the ride request is back in the available pool' });
+    } else {
+      res.json({ message: 'Status updated' });
+    }
+    if (status !== 'cancelled') return notifyUser(ride.passenger_id, 'ride.status_changed', { ride_id: ride.id, status });
+    notifyUser(ride.passenger_id, 'ride.status_changed', {
+      ride_id: ride.id,
+      status,
+      cancelled_by: 'driver',
+      reason: cancelReason,
+      requeued: Boolean(ride.requeued_request)
+    });
+    const rideRequest = ride.requeued_request;
+    if (rideRequest) announceRideRequest({ id: rideRequest.id, fare: { total: rideRequest.payment } }, rideRequest);
+  });
+});
+
+//=========================== Helper functions for cancellation reasons ===========================
+
+function isValidCancelReason(reason) {
+  return reason === undefined || reason === null || (typeof reason === 'string' && reason.trim().length <= MAX_CANCEL_REASON_LENGTH);
+}
+
+const normalizeCancelReason = (reason) => (typeof reason === 'string' && reason.trim() ? reason.trim() : null);
+
+//=========================== Helper functions to move a ride to a new status ===========================
+
+function updateRideStatus(driver, rideId, status, cancelReason, done) {
+  const isActive = ['accepted', 'in_progress'].includes(status) ? true : false;
+  db.get(
+    'SELECT * FROM Ride WHERE id = ? AND driver_id = ?',
+    [rideId, driver.id],
+    (err, ride) => {
+      if (err) {
+        console.error('Error fetching ride for status update:', err.message);
+        return done(err);
+      }
+      if (!ride) return done(httpError(400, 'Ride not found or not assigned to driver'));
+      if (!canTransition(ride.status, status, 'driver')) {
+        return done(httpError(400, `Cannot change ride status from ${ride.status} to ${status}`));
+      }
+      const cancellation = status === 'cancelled' ? `, cancel_reason = ?, cancelled_by = 'driver', cancelled_at = CURRENT_TIMESTAMP` : '';
+      const params = status === 'cancelled' ? [status, isActive, cancelReason, ride.id, ride.status] : [status, isActive, ride.id, ride.status];
+      // Conditional on the status we read so a concurrent change can't be overwritten.
+      db.run(
+        `UPDATE Ride SET status = ?, is_active = ?${cancellation} WHERE id = ? AND status = ?`,
+        params,
+        function (err) {
+          if (err) {
+            console.error('Error updating ride status:', err.message);
+            return done(err);
+          }
+          if (this.changes === 0) return done(httpError(409, 'Ride status changed, please retry'));
+          recordRideEvent({ ride_request_id: ride.ride_request_id, ride_id: ride.id, from_status: ride.status, to_status: status }, driver, (err) => {
+            if (err) {
+              console.error('Error recording ride event:', err.message);
+              return done(err);
+            }
+            if (status === 'completed') return recordRidePayment(ride, done);
+            // Before pickup the passenger still needs a ride, so the request goes back to other drivers.
+            if (status === 'cancelled' && ride.status === 'accepted') return requeueRideRequest(ride, driver, done);
+            if (status === 'cancelled') return releaseHold(ride.passenger_id, ride.ride_request_id, ride.id, (err) => done(err, ride));
+            done(null, ride);
+          });
+        }
+      );
+    }
+  );
+}
+
+// Reopens the ride's request with its fare still held, and keeps it away from the driver who
+// cancelled. Rides accepted before requests were linked have nothing to reopen, so their
+// hold is simply released.
+function requeueRideRequest(ride, driver, done) {
+  db.run(
+    `UPDATE RideRequest SET status = 'requested', is_active = TRUE, requeued_at = CURRENT_TIMESTAMP, offered_driver_id = NULL, offer_expires_at = NULL
+     WHERE id = ? AND status = 'accepted'`,
+    [ride.ride_request_id],
+    function (err) {
+      if (err) {
+        console.error('Error requeueing ride request:', err.message);
+        return done(err);
+      }
+      if (this.changes === 0) return releaseHold(ride.passenger_id, ride.ride_request_id, ride.id, (err) => done(err, ride));
+      db.run(
+        `INSERT OR IGNORE INTO RideRejection (ride_request_id, driver_id, reason, created_at) VALUES (?, ?, 'driver_cancelled', CURRENT_TIMESTAMP)`,
+        [ride.ride_request_id, driver.id],
+        (err) => {
+          if (err) {
+            console.error('Error recording rejection:', err.message);
+            return done(err);
+          }
+          recordRideEvent({ ride_request_id: ride.ride_request_id, ride_id: ride.id, from_status: 'accepted', to_status: 'requested' }, driver, (err) => {
+            if (err) {
+              console.error('Error recording ride event:', err.message);
+              return done(err);
+            }
+            db.get('SELECT * FROM RideRequest WHERE id = ?', [ride.ride_request_id], (err, rideRequest) => {
+              if (err) {
+                console.error('Error fetching requeued ride request:', err.message);
+                return done(err);
+              }
+              done(null, { ...ride, requeued_request: rideRequest });
+            });
+          });
+        }
+      );
+    }
+  );
+}
+
+// Payment.amount is what the driver earns, i.e. the fare after commission. A promo discount
+// doesn't change it: the driver is paid on the full fare and the discount is the subsidy.
+function recordRidePayment(ride, done) {
+  const split = splitFare(ride.ride_type, ride.payment);
+  captureHold(ride, split, (err, ledgerTransactionId) => {
+    if (err) return done(err);
+    db.run(
+      'INSERT INTO Payment (ride_id, driver_id, amount, gross_amount, commission, net_amount, subsidy, ledger_transaction_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [ride.id, ride.driver_id, split.net_amount, split.gross_amount, split.commission, split.net_amount, ride.discount || 0, ledgerTransactionId],
+      (err) => {
+        if (err) {
+          console.error('Error recording payment:', err.message);
+          return done(err);
+        }
+        db.run(
+          `UPDATE PromoRedemption SET status = 'redeemed' WHERE ride_request_id = ? AND status = 'applied'`,
+          [ride.ride_request_id],
+          (err) => {
+            if (err) {
+              console.error('Error redeeming promo code:', err.message);
+              return done(err);
+            }
+            done(null, { ...ride, ...split });
+          }
+        );
+      }
+    );
+  });
+}
+
+//=========================== Request to Cancel a Ride or Request ===========================
+
+app.post('/rides/:id/cancel', authenticate, (req, res) => {
+  if (req.user.type !== 'passenger') return res.status(403).json({ error: 'Only passengers can cancel rides' });
+  const { reason } = req.body || {};
+  if (!isValidCancelReason(reason)) {
+    return res.status(400).json({ error: `Reason must be text of at most ${MAX_CANCEL_REASON_LENGTH} characters` });
+  }
+  const cancelReason = normalizeCancelReason(reason);
+  runTransaction((done) => cancelAsPassenger(req.user, req.params.id, cancelReason, done), (err, cancelled) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Database error' });
+    if (cancelled.source === 'RideRequest') {
+      res.json({ message: 'Ride request cancelled' });
+      notifyAvailableDrivers('ride_request.removed', { ride_request_id: cancelled.id, reason: 'cancelled' });
+    } else {
+      res.json({ message: 'Ride cancelled', cancellation_fee: cancelled.cancellation_fee });
+      notifyUser(cancelled.driver_id, 'ride.status_changed', {
+        ride_id: cancelled.id,
+        status: 'cancelled',
+        cancelled_by: 'passenger',
+        reason: cancelReason,
+        cancellation_fee: cancelled.cancellation_fee
+      });
+    }
+  });
+});
+
+//=========================== Helper functions to cancel as a passenger ===========================
+
+// :id may be an open RideRequest or an accepted Ride; the request is tried first.
+function cancelAsPassenger(passenger, id, cancelReason, done) {
+  db.get(
+    'SELECT * FROM RideRequest WHERE id = ? AND passenger_id = ? AND status = "requested" AND is_active = TRUE',
+    [id, passenger.id],
+    (err, rideRequest) => {
+      if (err) {
+        console.error('Error checking ride request for cancellation:', err.message);
+        return done(err);
+      }
+      if (!rideRequest) return cancelRideAsPassenger(passenger, id, cancelReason, done);
+      db.run(
+        'UPDATE RideRequest SET status = "cancelled", is_active = FALSE, cancel_reason = ?, cancelled_by = "passenger" WHERE id = ? AND status = "requested"',
+        [cancelReason, rideRequest.id],
+        function (err) {
+          if (err) {
+            console.error('Error cancelling ride request:', err.message);
+            return done(err);
+          }
+          if (this.changes === 0) return done(httpError(400, 'Cannot cancel ride request'));
+          recordRideEvent({ ride_request_id: rideRequest.id, from_status: 'requested', to_status: 'cancelled' }, passenger, (err) => {
+            if (err) {
+              console.error('Error recording ride event:', err.message);
+              return done(err);
+            }
+            releaseHold(passenger.id, rideRequest.id, null, (err) => done(err, { ...rideRequest, source: 'RideRequest' }));
+          });
+        }
+      );
+    }
+  );
+}
+
+// Cancelling an accepted ride after CANCELLATION_GRACE_SECONDS pays the driver a fee out of
+// the held fare; the rest of the hold goes back to the wallet. A booked ride can be accepted
+// well ahead of pickup, so its grace period starts at pickup_at at the earliest.
+function cancelRideAsPassenger(passenger, rideId, cancelReason, done) {
+  db.get(
+    `SELECT *, (julianday('now') - julianday(MAX(accepted_at, COALESCE(pickup_at, accepted_at)))) * 86400 > ? AS past_grace
+     FROM (
+       SELECT Ride.*, (SELECT pickup_at FROM RideRequest WHERE RideRequest.id = Ride.ride_request_id) AS pickup_at
+       FROM Ride WHERE id = ? AND passenger_id = ?
+     )`,
+    [CANCELLATION_GRACE_SECONDS, rideId, passenger.id],
+    (err, ride) => {
+      if (err) {
+        console.error('Error checking ride for cancellation:', err.message);
+        return done(err);
+      }
+      if (!ride || !canTransition(ride.status, 'cancelled', 'passenger')) {
+        return done(httpError(400, 'Cannot cancel ride'));
+      }
+      db.run(
+        `UPDATE Ride SET status = 'cancelled', is_active = FALSE, cancel_reason = ?, cancelled_by = 'passenger', cancelled_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = ?`,
+        [cancelReason, ride.id, ride.status],
+        function (err) {
+          if (err) {
+            console.error('Error cancelling ride:', err.message);
+            return done(err);
+          }
+          if (this.changes === 0) return done(httpError(400, 'Cannot cancel ride'));
+          recordRideEvent({ ride_request_id: ride.ride_request_id, ride_id: ride.id, from_status: ride.status, to_status: 'cancelled' }, passenger, (err) => {
+            if (err) {
+              console.error('Error recording ride event:', err.message);
+              return done(err);
+            }
+            const fee = ride.status === 'accepted' && ride.past_grace ? CANCELLATION_FEES[ride.ride_type] || 0 : 0;
+            chargeCancellationFee(ride, fee, (err, charged) => {
+              if (err) return done(err);
+              releaseHold(passenger.id, ride.ride_request_id, ride.id, (err) => done(err, { ...ride, cancellation_fee: charged, source: 'Ride' }));
+            });
+          });
+        }
+      );
+    }
+  );
+}
+
+// The fee is capped at what is still held, so rides booked before wallets existed are never
+// charged. done(err, charged) gets the amount actually paid to the driver.
+function chargeCancellationFee(ride, fee, done) {
+  if (fee <= 0) return done(null, 0);
+  getHeldAmount(ride.ride_request_id, (err, held) => {
+    if (err) return done(err);
+    const charged = roundMoney(Math.min(fee, held));
+    if (charged <= 0) return done(null, 0);
+    postLedgerTransaction(
+      { type: 'cancellation_fee', ride_request_id: ride.ride_request_id, ride_id: ride.id, description: 'Cancellation fee paid to driver' },
+      [
+        { account: 'passenger_hold', user_id: ride.passenger_id, amount: -charged },
+        { account: 'driver_balance', user_id: ride.driver_id, amount: charged }
+      ],
+      (err, ledgerTransactionId) => {
+        if (err) return done(err);
+        db.run(
+          'INSERT INTO Payment (ride_id, driver_id, amount, gross_amount, commission, net_amount, type, ledger_transaction_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [ride.id, ride.driver_id, charged, charged, 0, charged, 'cancellation_fee', ledgerTransactionId],
+          (err) => {
+            if (err) {
+              console.error('Error recording cancellation fee payment:', err.message);
+              return done(err);
+            }
+            done(null, charged);
+          }
+        );
+      }
+    );
+  });
+}
+
+//=========================== Request to Get a Ride's Event Timeline ===========================
+
+// :id is a Ride id; pass ?source=RideRequest to look up a request that was never accepted.
+app.get('/rides/:id/events', authenticate, (req, res) => {
+  const fromRequest = req.query.source === 'RideRequest';
+  db.get(
+    fromRequest ? 'SELECT id, passenger_id, NULL AS driver_id, id AS ride_request_id FROM RideRequest WHERE id = ?' : 'SELECT id, passenger_id, driver_id, ride_request_id FROM Ride WHERE id = ?',
+    [req.params.id],
+    (err, ride) => {
+      if (err) {
+        console.error('Error fetching ride for events:', err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (!ride || (ride.passenger_id !== req.user.id && ride.driver_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Ride not found' });
+      }
+      db.all(
+        fromRequest
+          ? 'SELECT * FROM RideEvent WHERE ride_request_id = ? ORDER BY created_at, id'
+          : 'SELECT * FROM RideEvent WHERE ride_id = ? OR (ride_request_id = ? AND ride_id IS NULL) ORDER BY created_at, id',
+        fromRequest ? [ride.id] : [ride.id, ride.ride_request_id],
+        (err, events) => {
+          if (err) {
+            console.error('Error fetching ride events:', err.message);
+            return res.status(500).json({ error: 'Database error' });
+          }
+          res.json(events);
+        }
+      );
+    }
+  );
+});
+
+//=========================== Request to Review a Completed Ride ===========================
+
+app.post('/rides/:id/reviews', authenticate, (req, res) => {
+  const { rating, comment } = req.body || {};
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+  }
+  if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > MAX_REVIEW_COMMENT_LENGTH)) {
+    return res.status(400).json({ error: `Comment must be text of at most ${MAX_REVIEW_COMMENT_LENGTH} characters` });
+  }
+  db.get(
+    'SELECT * FROM Ride WHERE id = ?',
+    [req.params.id],
+    (err, ride) => {
+      if (err) {
+        console.error('Error fetching ride for review:', err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (!ride || (ride.passenger_id !== req.user.id && ride.driver_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Ride not found' });
+      }
+      if (ride.status !== 'completed') return res.status(400).json({ error: 'Only completed rides can be reviewed' });
+      const revieweeId = ride.passenger_id === req.user.id ? ride.driver_id : ride.passenger_id;
+      runWrite(
+        'INSERT INTO Review (ride_id, reviewer_id, reviewee_id, rating, comment) VALUES (?, ?, ?, ?, ?)',
+        [ride.id, req.user.id, revieweeId, rating, comment || null],
+        function (err) {
+          if (err && err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(400).json({ error: 'You have already reviewed this ride' });
+          }
+          if (err) {
+            console.error('Error saving review:', err.message);
+            return res.status(500).json({ error: 'Failed to save review' });
+          }
+          res.status(201).json({ review_id: this.lastID });
+          notifyUser(revieweeId, 'review.received', { ride_id: ride.id, rating });
+        }
+      );
+    }
+  );
+});
+
+//=========================== Request to Get Reviews for a User ===========================
+
+app.get('/users/:id/reviews', authenticate, (req, res) => {
+  getRatingSummary(req.params.id, (err, summary) => {
+    if (err) {
+      console.error('Error fetching rating summary:', err.message);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    db.all(
+      `SELECT Review.id, Review.ride_id, Review.rating, Review.comment, Review.created_at,
+              Reviewer.name AS reviewer_name, Reviewer.type AS reviewer_type
+       FROM Review JOIN User AS Reviewer ON Reviewer.id = Review.reviewer_id
+       WHERE Review.reviewee_id = ? ORDER BY Review.created_at DESC, Review.id DESC`,
+      [req.params.id],
+      (err, reviews) => {
+        if (err) {
+          console.error('Error fetching reviews:', err.message);
+          return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({ ...summary, reviews });
+      }
+    );
+  });
+});
+
+//=========================== Request to Top Up Passenger Wallet ===========================
+
+app.post('/users/wallet/topup', authenticate, idempotent, (req, res) => {
+  if (req.user.type !== 'passenger') return res.status(403).json({ error: 'Only passengers can top up a wallet' });
+  const { amount } = req.body || {};
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({ error: 'Amount must be a positive number' });
+  }
+  const topUp = roundMoney(amount);
+  runTransaction(
+    (done) => postLedgerTransaction(
+      { type: 'topup', description: 'Wallet top-up' },
+      [
+        { account: 'external', user_id: null, amount: -topUp },
+        { account: 'passenger_wallet', user_id: req.user.id, amount: topUp }
+      ],
+      done
+    ),
+    (err) => {
+      if (err) return res.status(500).json({ error: 'Failed to top up wallet' });
+      res.json({ message: 'Wallet topped up', amount: topUp, balance: roundMoney(req.user.balance + topUp) });
+    }
+  );
+});
+
+//=========================== Request to Get Passenger Wallet ===========================
+
+app.get('/users/wallet', authenticate, (req, res) => {
+  if (req.user.type !== 'passenger') return res.status(403).json({ error: 'Only passengers have a wallet' });
+  res.json({ balance: req.user.balance, held_balance: req.user.held_balance });
+});
+
+//=========================== Request to Get Ledger Entries for the Current User ===========================
+
+// Returns every ledger entry touching the user plus per-account totals, which should match
+// the balances on the User row.
+app.get('/users/ledger', authenticate, (req, res) => {
+  db.all(
+    `SELECT LedgerEntry.id, LedgerEntry.transaction_id, LedgerTransaction.type, LedgerEntry.account, LedgerEntry.amount,
+            LedgerTransaction.ride_request_id, LedgerTransaction.ride_id, LedgerTransaction.description, LedgerEntry.created_at
+     FROM LedgerEntry JOIN LedgerTransaction ON LedgerTransaction.id = LedgerEntry.transaction_id
+     WHERE LedgerEntry.user_id = ? ORDER BY LedgerEntry.id DESC`,
+    [req.user.id],
+    (err, entries) => {
+      if (err) {
+        console.error('Error fetching ledger entries:', err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      const totals = {};
+      entries.forEach((entry) => {
+        totals[entry.account] = roundMoney((totals[entry.account] || 0) + entry.amount);
+      });
+      res.json({ totals, entries });
+    }
+  );
+});
+
+//=========================== Request to Get All Payment Records for Driver ===========================
+
+app.get('/users/payments', authenticate, (req, res) => {
+  if (req.user.type !== 'driver') 
+    return res.status(403).json({ error: 'Only drivers can view payment records' });
+  sendListing(req, res, {
+    name: 'payment records',
+    sql: `SELECT Payment.id, Payment.ride_id, Payment.type, Ride.ride_type, Payment.amount, Payment.gross_amount, Payment.commission,
+       Payment.net_amount, Payment.created_at
+FROM Payment LEFT JOIN Ride ON Ride.id = Payment.ride_id
+WHERE Payment.driver_id = ?`,
+    params: [req.user.id],
+    keys: ['created_at', 'id'],
+    filters: { type: ['fare', 'cancellation_fee'], ride_type: Object.keys(FARE_RATES) },
+    csvColumns: ['created_at', 'id', 'ride_id', 'type', 'ride_type', 'gross_amount', 'commission', 'net_amount']
+  });
+});
+
+//=========================== Helper functions for earnings reports ===========================
+
+const REPORT_PERIODS = ['day', 'week', 'month'];
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 366;
+
+// SQL for the 'YYYY-MM-DD' start of the period a timestamp falls in. Weeks start on Monday.
+function periodStartSql(column, period) {
+  if (period === 'month') return `strftime('%Y-%m-01', ${column})`;
+  if (period === 'week') return `date(${column}, '-6 days', 'weekday 1')`;
+  return `date(${column})`;
+}
+
+// The same in JavaScript (UTC), for splitting online time across periods.
+function periodStart(date, period) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), period === 'month' ? 1 : date.getUTCDate()));
+  if (period === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+}
+
+function nextPeriodStart(start, period) {
+  const next = new Date(start);
+  if (period === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+  else next.setUTCDate(next.getUTCDate() + (period === 'week' ? 7 : 1));
+  return next;
+}
+
+const parseSqlTimestamp = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+// Online hours per period from a driver's availability changes (oldest first). Each
+// stretch online is clipped to [from, to) and split at period boundaries.
+function onlineHoursByPeriod(changes, from, to, period) {
+  const hours = {};
+  const addStretch = (start, end) => {
+    let cursor = start < from ? from : start;
+    const stop = end < to ? end : to;
+    while (cursor < stop) {
+      const bucket = periodStart(cursor, period);
+      const bucketEnd = nextPeriodStart(bucket, period);
+      const sliceEnd = bucketEnd < stop ? bucketEnd : stop;
+      const key = bucket.toISOString().slice(0, 10);
+      hours[key] = (hours[key] || 0) + (sliceEnd - cursor) / 3600000;
+      cursor = sliceEnd;
+    }
+  };
+  let onlineSince = null;
+  for (const change of changes) {
+    const changedAt = parseSqlTimestamp(change.changed_at);
+    if (change.is_available && !onlineSince) onlineSince = changedAt;
+    if (!change.is_available && onlineSince) {
+      addStretch(onlineSince, changedAt);
+      onlineSince = null;
+    }
+  }
+  if (onlineSince) addStretch(onlineSince, to);
+  return hours;
+}
+
+const emptyEarnings = () => ({
+  trips: 0,
+  gross_fares: 0,
+  commission: 0,
+  cancellation_fees: 0,
+  net_earnings: 0,
+  average_fare: 0,
+  by_ride_type: {},
+  rides_accepted: 0,
+  requests_rejected: 0,
+  acceptance_rate: null,
+  online_hours: 0
+});
+
+// Gathers everything the report needs for one driver; range.from and range.to are SQL timestamps.
+function buildEarningsReport(driverId, range, callback) {
+  const { period, from, to } = range;
+  db.all(
+    `SELECT ${periodStartSql('Payment.created_at', period)} AS period_start, Ride.ride_type, Payment.type, COUNT(*) AS count,
+            SUM(Payment.gross_amount) AS gross_amount, SUM(Payment.commission) AS commission, SUM(Payment.net_amount) AS net_amount
+     FROM Payment JOIN Ride ON Ride.id = Payment.ride_id
+     WHERE Payment.driver_id = ? AND Payment.created_at >= ? AND Payment.created_at < ?
+     GROUP BY period_start, Ride.ride_type, Payment.type`,
+    [driverId, from, to],
+    (err, payments) => {
+      if (err) return callback(err);
+      db.all(
+        `SELECT ${periodStartSql('accepted_at', period)} AS period_start, COUNT(*) AS count FROM Ride
+         WHERE driver_id = ? AND accepted_at >= ? AND accepted_at < ? GROUP BY period_start`,
+        [driverId, from, to],
+        (err, accepted) => {
+          if (err) return callback(err);
+          db.all(
+            `SELECT ${periodStartSql('created_at', period)} AS period_start, COUNT(*) AS count FROM RideRejection
+             WHERE driver_id = ? AND reason = 'rejected' AND created_at >= ? AND created_at < ? GROUP BY period_start`,
+            [driverId, from, to],
+            (err, rejected) => {
+              if (err) return callback(err);
+              db.all(
+                'SELECT is_available, changed_at FROM AvailabilityLog WHERE driver_id = ? AND changed_at < ? ORDER BY changed_at, id',
+                [driverId, to],
+                (err, availabilityChanges) => {
+                  if (err) return callback(err);
+                  callback(null, summarizeEarnings(range, payments, accepted, rejected, availabilityChanges));
+                }
+              );
+            }
+          );
+        }
+      );
+    }
+  );
+}
+
+function summarizeEarnings(range, payments, accepted, rejected, availabilityChanges) {
+  const totals = emptyEarnings();
+  const periods = {};
+  // Every row counts towards its period and the overall totals.
+  const targetsFor = (periodStartKey) => [periods[periodStartKey] || (periods[periodStartKey] = emptyEarnings()), totals];
+  for (const row of payments) {
+    for (const target of targetsFor(row.period_start)) {
+      target.net_earnings += row.net_amount;
+      if (row.type === 'cancellation_fee') {
+        target.cancellation_fees += row.net_amount;
+        continue;
+      }
+      target.trips += row.count;
+      target.gross_fares += row.gross_amount;
+      target.commission += row.commission;
+      const byType = target.by_ride_type[row.ride_type] || (target.by_ride_type[row.ride_type] = { trips: 0, gross_fares: 0, net_earnings: 0 });
+      byType.trips += row.count;
+      byType.gross_fares = roundMoney(byType.gross_fares + row.gross_amount);
+      byType.net_earnings = roundMoney(byType.net_earnings + row.net_amount);
+    }
+  }
+  for (const row of accepted) targetsFor(row.period_start).forEach((target) => { target.rides_accepted += row.count; });
+  for (const row of rejected) targetsFor(row.period_start).forEach((target) => { target.requests_rejected += row.count; });
+  const now = new Date();
+  const to = parseSqlTimestamp(range.to);
+  const onlineHours = onlineHoursByPeriod(availabilityChanges, parseSqlTimestamp(range.from), to < now ? to : now, range.period);
+  for (const [periodStartKey, hours] of Object.entries(onlineHours)) {
+    targetsFor(periodStartKey).forEach((target) => { target.online_hours += hours; });
+  }
+  const finish = (earnings) => {
+    const responses = earnings.rides_accepted + earnings.requests_rejected;
+    return {
+      ...earnings,
+      gross_fares: roundMoney(earnings.gross_fares),
+      commission: roundMoney(earnings.commission),
+      cancellation_fees: roundMoney(earnings.cancellation_fees),
+      net_earnings: roundMoney(earnings.net_earnings),
+      average_fare: earnings.trips ? roundMoney(earnings.gross_fares / earnings.trips) : 0,
+      acceptance_rate: responses ? roundMoney(earnings.rides_accepted / responses) : null,
+      online_hours: roundMoney(earnings.online_hours)
+    };
+  };
+  return {
+    period: range.period,
+    from: range.from,
+    to: range.to,
+    totals: finish(totals),
+    periods: Object.keys(periods).sort().map((periodStartKey) => ({ period_start: periodStartKey, ...finish(periods[periodStartKey]) }))
+  };
+}
+
+//=========================== Request to Get a Driver Earnings Report ===========================
+
+// ?period=day|week|month groups the report; ?from and ?to default to the 30 days up to and
+// including today.
+app.get('/users/earnings', authenticate, (req, res) => {
+  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can view earnings reports' });
+  const period = req.query.period || 'day';
+  if (!REPORT_PERIODS.includes(period)) return res.status(400).json({ error: `period must be one of: ${REPORT_PERIODS.join(', ')}` });
+  const to = parseDateBound(req.query.to === undefined ? new Date().toISOString().slice(0, 10) : req.query.to, true);
+  const from = req.query.from === undefined && to
+    ? toSqlTimestamp(new Date(parseSqlTimestamp(to).getTime() - DEFAULT_REPORT_DAYS * 86400000))
+    : parseDateBound(req.query.from, false);
+  if (!from || !to) return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD) or ISO 8601 date-times' });
+  if (from >= to) return res.status(400).json({ error: 'from must be before to' });
+  if (parseSqlTimestamp(to) - parseSqlTimestamp(from) > MAX_REPORT_DAYS * 86400000) {
+    return res.status(400).json({ error: `A report can cover at most ${MAX_REPORT_DAYS} days` });
+  }
+  buildEarningsReport(req.user.id, { period, from, to }, (err, report) => {
+    if (err) {
+      console.error('Error building earnings report:', err.message);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    res.json(report);
+  });
+});
+
+//=========================== Request to Create a Withdrawal Request ===========================
+
+app.post('/users/withdrawals', authenticate, idempotent, (req, res) => {
+  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can request withdrawals' });
+  const { amount } = req.body || {};
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({ error: 'Amount must be a positive number' });
+  }
+  const requested = roundMoney(amount);
+  runTransaction((done) => {
+    // Pending requests already spoken for count against the balance.
+    db.get(
+      `SELECT balance, (SELECT COALESCE(SUM(amount), 0) FROM Withdrawal WHERE driver_id = User.id AND status = 'pending') AS pending
+       FROM User WHERE id = ?`,
+      [req.user.id],
+      (err, driver) => {
+        if (err) {
+          console.error('Error fetching driver balance for withdrawal:', err.message);
+          return done(err);
+        }
+        const withdrawable = roundMoney(driver.balance - driver.pending);
+        if (requested > withdrawable) return done(httpError(400, `Amount exceeds withdrawable balance of ${withdrawable}`));
+        db.run(
+          'INSERT INTO Withdrawal (driver_id, amount, status) VALUES (?, ?, ?)',
+          [req.user.id, requested, 'pending'],
+          function (err) {
+            if (err) {
+              console.error('Error creating withdrawal:', err.message);
+              return done(err);
+            }
+            done(null, this.lastID);
+          }
+        );
+      }
+    );
+  }, (err, withdrawalId) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to request withdrawal' });
+    res.status(201).json({ withdrawal_id: withdrawalId, amount: requested, status: 'pending' });
+  });
 });
 
-// =========================== Request to Update Ride Status ===========================
+//=========================== Request to Get Driver Withdrawal Requests ===========================
 
-app.post('/rides/:id/update_status', authenticateBasic, (req, res) => {
-  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can update status' });
-  const { status } = req.body;
-  if (!['in_progress', 'completed', 'cancelled'].includes(status)) {
-    return res.status(400).json({ error: 'Invalid status' });
-  }
-  const isActive = ['accepted', 'in_progress'].includes(status) ? true : false;
-  db.get(
-    'SELECT * FROM Ride WHERE id = ? AND driver_id = ?',
-    [req.params.id, req.user.id],
-    (err, ride) => {
+app.get('/users/withdrawals', authenticate, (req, res) => {
+  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can view withdrawals' });
+  db.all(
+    'SELECT id, amount, status, review_note, created_at, reviewed_at FROM Withdrawal WHERE driver_id = ? ORDER BY created_at DESC, id DESC',
+    [req.user.id],
+    (err, withdrawals) => {
       if (err) {
-        console.error('Error fetching ride for status update:', err.message);
+        console.error('Error fetching withdrawals:', err.message);
         return res.status(500).json({ error: 'Database error' });
       }
-      if (!ride) return res.status(400).json({ error: 'Ride not found or not assigned to driver' });
-      if (ride.status === 'completed') {
-        return res.status(400).json({ error: 'Cannot update status of a completed ride' });
+      res.json(withdrawals);
+    }
+  );
+});
+
+// Middleware for operations endpoints; use after authenticate
+const requireAdmin = (req, res, next) => {
+  if (req.user.type !== 'admin') return res.status(403).json({ error: 'Admin access required' });
+  next();
+};
+
+//=========================== Request to List Withdrawal Requests for Review ===========================
+
+app.get('/withdrawals', authenticate, requireAdmin, (req, res) => {
+  const status = req.query.status || 'pending';
+  if (!['pending', 'approved', 'rejected'].includes(status)) return res.status(400).json({ error: 'Invalid status' });
+  db.all(
+    `SELECT Withdrawal.*, User.name AS driver_name, User.balance AS driver_balance
+     FROM Withdrawal JOIN User ON User.id = Withdrawal.driver_id WHERE Withdrawal.status = ? ORDER BY Withdrawal.created_at, Withdrawal.id`,
+    [status],
+    (err, withdrawals) => {
+      if (err) {
+        console.error('Error fetching withdrawals for review:', err.message);
+        return res.status(500).json({ error: 'Database error' });
       }
-      db.run(
-        'UPDATE Ride SET status = ?, is_active = ? WHERE id = ?',
-        [status, isActive, req.params.id],
-        function (err) {
-          if (err) {
-            console.error('Error updating ride status:', err.message);
-            return res.status(500).json({ error: 'Status update failed' });
-          }
-          if (this.changes === 0) return res.status(400).json({ error: 'Failed to update status' });
-          if (status === 'completed') {
-            db.run(
-              'INSERT INTO Payment (ride_id, driver_id, amount) VALUES (?, ?, ?)',
-              [req.params.id, req.user.id, ride.payment],
-              (err) => {
-                if (err) {
-                  console.error('Error recording payment:', err.message);
-                  return res.status(500).json({ error: 'Failed to record payment' });
-                }
-                db.run(
-                  'UPDATE User SET balance = balance + ? WHERE id = ?',
-                  [ride.payment, req.user.id],
-                  (err) => {
-                    if (err) {
-                      console.error('Error updating driver balance:', err.message);
-                      return res.status(500).json({ error: 'Failed to update driver balance' });
-                    }
-                    res.json({ message: 'Status updated and payment processed', amount: ride.payment });
-                  }
-                );
-              }
-            );
-          } else {
-            res.json({ message: 'Status updated' });
-          }
-        }
-      );
+      res.json(withdrawals);
     }
   );
 });
 
-//=========================== Request to Cancel a Ride or Request ===========================
+//=========================== Request to Approve or Reject a Withdrawal ===========================
 
-app.post('/rides/:id/cancel', authenticateBasic, (req, res) => {
-  if (req.user.type !== 'passenger') return res.status(403).json({ error: 'Only passengers can cancel rides' });
+const withdrawalReviewHandler = (approve) => (req, res) => {
+  const { note } = req.body || {};
+  runTransaction((done) => reviewWithdrawal(req.user, req.params.id, approve, note, done), (err, withdrawal) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to review withdrawal' });
+    res.json({ message: approve ? 'Withdrawal approved' : 'Withdrawal rejected', withdrawal_id: withdrawal.id, status: withdrawal.status });
+    notifyUser(withdrawal.driver_id, 'withdrawal.reviewed', { withdrawal_id: withdrawal.id, status: withdrawal.status });
+  });
+};
+
+app.post('/withdrawals/:id/approve', authenticate, requireAdmin, withdrawalReviewHandler(true));
+app.post('/withdrawals/:id/reject', authenticate, requireAdmin, withdrawalReviewHandler(false));
+
+// The driver's balance only goes down when a withdrawal is approved.
+function reviewWithdrawal(admin, withdrawalId, approve, note, done) {
   db.get(
-    'SELECT * FROM RideRequest WHERE id = ? AND passenger_id = ? AND status = "requested" AND is_active = TRUE',
-    [req.params.id, req.user.id],
-    (err, rideRequest) => {
+    `SELECT Withdrawal.*, User.balance FROM Withdrawal JOIN User ON User.id = Withdrawal.driver_id WHERE Withdrawal.id = ?`,
+    [withdrawalId],
+    (err, withdrawal) => {
       if (err) {
-        console.error('Error checking ride request for cancellation:', err.message);
-        return res.status(500).json({ error: 'Database error' });
+        console.error('Error fetching withdrawal:', err.message);
+        return done(err);
       }
-      if (rideRequest) {
+      if (!withdrawal) return done(httpError(404, 'Withdrawal not found'));
+      if (withdrawal.status !== 'pending') return done(httpError(400, `Withdrawal is already ${withdrawal.status}`));
+      if (approve && withdrawal.balance < withdrawal.amount) {
+        return done(httpError(409, 'Driver balance is lower than the withdrawal amount'));
+      }
+      const status = approve ? 'approved' : 'rejected';
+      const finish = (ledgerTransactionId) => {
         db.run(
-          'UPDATE RideRequest SET status = "cancelled", is_active = FALSE WHERE id = ?',
-          [req.params.id],
+          `UPDATE Withdrawal SET status = ?, review_note = ?, ledger_transaction_id = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'`,
+          [status, note || null, ledgerTransactionId, admin.id, withdrawal.id],
           function (err) {
             if (err) {
-              console.error('Error cancelling ride request:', err.message);
-              return res.status(500).json({ error: 'Database error' });
+              console.error('Error updating withdrawal:', err.message);
+              return done(err);
             }
-            if (this.changes === 0) return res.status(400).json({ error: 'Cannot cancel ride request' });
-            res.json({ message: 'Ride request cancelled' });
+            if (this.changes === 0) return done(httpError(409, 'Withdrawal was already reviewed'));
+            const details = { driver_id: withdrawal.driver_id, amount: withdrawal.amount, ledger_transaction_id: ledgerTransactionId };
+            recordAdminAction(admin, `withdrawal.${approve ? 'approve' : 'reject'}`, 'Withdrawal', withdrawal.id, note, details, (err) => {
+              if (err) return done(err);
+              done(null, { ...withdrawal, status });
+            });
           }
         );
-      } else {
+      };
+      if (!approve) return finish(null);
+      postLedgerTransaction(
+        { type: 'payout', description: `Withdrawal ${withdrawal.id}` },
+        [
+          { account: 'driver_balance', user_id: withdrawal.driver_id, amount: -withdrawal.amount },
+          { account: 'external', user_id: null, amount: withdrawal.amount }
+        ],
+        (err, ledgerTransactionId) => (err ? done(err) : finish(ledgerTransactionId))
+      );
+    }
+  );
+}
+
+//=========================== Helper function for the admin audit log ===========================
+
+// Every admin change is logged with who made it, what it touched and why. details is stored as JSON.
+function recordAdminAction(admin, action, targetType, targetId, reason, details, callback) {
+  db.run(
+    'INSERT INTO AdminAuditLog (admin_id, action, target_type, target_id, reason, details) VALUES (?, ?, ?, ?, ?, ?)',
+    [admin.id, action, targetType, targetId, reason || null, details ? JSON.stringify(details) : null],
+    (err) => {
+      if (err) console.error('Error recording admin action:', err.message);
+      callback(err);
+    }
+  );
+}
+
+// Admin actions that change data need a reason for the audit log.
+const hasAdminReason = (reason) => typeof reason === 'string' && reason.trim().length > 0 && reason.trim().length <= MAX_ADMIN_REASON_LENGTH;
+
+//=========================== Admin Request to List and Search Users ===========================
+
+app.get('/admin/users', authenticate, requireAdmin, (req, res) => {
+  const { search, type, status } = req.query;
+  if (type !== undefined && !['passenger', 'driver', 'admin'].includes(type)) return res.status(400).json({ error: 'Invalid type' });
+  if (status !== undefined && !['active', 'suspended'].includes(status)) return res.status(400).json({ error: 'Invalid status' });
+  const conditions = [];
+  const params = [];
+  if (search) {
+    conditions.push('(name LIKE ? OR email LIKE ?)');
+    params.push(`%${search}%`, `%${search}%`);
+  }
+  if (type) {
+    conditions.push('type = ?');
+    params.push(type);
+  }
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  db.all(
+    `SELECT id, name, email, type, status, suspended_reason, suspended_at, is_available, balance, held_balance, active_vehicle_id
+     FROM User ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY id LIMIT 100`,
+    params,
+    (err, users) => {
+      if (err) {
+        console.error('Error searching users:', err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      res.json(users);
+    }
+  );
+});
+
+//=========================== Admin Request to Suspend or Reactivate a User ===========================
+
+const userStatusHandler = (suspend) => (req, res) => {
+  const { reason } = req.body || {};
+  if (!hasAdminReason(reason)) {
+    return res.status(400).json({ error: `A reason of at most ${MAX_ADMIN_REASON_LENGTH} characters is required` });
+  }
+  runTransaction((done) => setUserStatus(req.user, req.params.id, suspend, reason.trim(), done), (err) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to update user status' });
+    res.json({ message: suspend ? 'User suspended' : 'User reactivated' });
+  });
+};
+
+app.post('/admin/users/:id/suspend', authenticate, requireAdmin, userStatusHandler(true));
+app.post('/admin/users/:id/reactivate', authenticate, requireAdmin, userStatusHandler(false));
+
+// Suspending signs the user out everywhere and takes a driver offline.
+function setUserStatus(admin, userId, suspend, reason, done) {
+  db.get('SELECT id, type, status, is_available FROM User WHERE id = ?', [userId], (err, user) => {
+    if (err) {
+      console.error('Error fetching user:', err.message);
+      return done(err);
+    }
+    if (!user) return done(httpError(404, 'User not found'));
+    if (user.type === 'admin') return done(httpError(400, 'Admin accounts cannot be suspended'));
+    const status = suspend ? 'suspended' : 'active';
+    if (user.status === status) return done(httpError(400, `User is already ${status}`));
+    db.run(
+      `UPDATE User SET status = ?, suspended_reason = ?, suspended_at = ${suspend ? 'CURRENT_TIMESTAMP' : 'NULL'},
+         is_available = CASE WHEN type = 'driver' AND ? THEN FALSE ELSE is_available END
+       WHERE id = ? AND status = ?`,
+      [status, suspend ? reason : null, suspend, user.id, user.status],
+      function (err) {
+        if (err) {
+          console.error('Error updating user status:', err.message);
+          return done(err);
+        }
+        if (this.changes === 0) return done(httpError(409, 'User status changed, please retry'));
+        const revokeSessions = suspend
+          ? (next) => db.run('UPDATE Session SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL', [user.id], next)
+          : (next) => next(null);
+        const logOffline = suspend && user.type === 'driver' && user.is_available
+          ? (next) => logAvailability(user.id, false, next)
+          : (next) => next(null);
+        revokeSessions((err) => {
+          if (err) {
+            console.error('Error revoking sessions:', err.message);
+            return done(err);
+          }
+          logOffline((err) => {
+            if (err) return done(err);
+            recordAdminAction(admin, suspend ? 'user.suspend' : 'user.reactivate', 'User', user.id, reason, null, done);
+          });
+        });
+      }
+    );
+  });
+}
+
+//=========================== Admin Request to View Active Ride Requests and Rides ===========================
+
+app.get('/admin/rides/active', authenticate, requireAdmin, (req, res) => {
+  db.all('SELECT * FROM RideRequest WHERE is_active = TRUE ORDER BY created_at', (err, rideRequests) => {
+    if (err) {
+      console.error('Error fetching active ride requests:', err.message);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    db.all('SELECT * FROM Ride WHERE is_active = TRUE ORDER BY created_at', (err, rides) => {
+      if (err) {
+        console.error('Error fetching active rides:', err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      res.json({ ride_requests: rideRequests, rides });
+    });
+  });
+});
+
+//=========================== Admin Request to Force-Cancel a Ride ===========================
+
+// :id is a Ride id; pass ?source=RideRequest to cancel an open request instead. The state
+// machine is bypassed, but the hold is released and the change is recorded as usual.
+app.post('/admin/rides/:id/cancel', authenticate, requireAdmin, (req, res) => {
+  const { reason } = req.body || {};
+  if (!hasAdminReason(reason)) {
+    return res.status(400).json({ error: `A reason of at most ${MAX_ADMIN_REASON_LENGTH} characters is required` });
+  }
+  const source = req.query.source === 'RideRequest' ? 'RideRequest' : 'Ride';
+  const work = source === 'RideRequest' ? forceCancelRideRequest : forceCancelRide;
+  runTransaction((done) => work(req.user, req.params.id, reason.trim(), done), (err, cancelled) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to cancel ride' });
+    res.json({ message: source === 'RideRequest' ? 'Ride request cancelled' : 'Ride cancelled' });
+    if (source === 'RideRequest') {
+      notifyUser(cancelled.passenger_id, 'ride_request.cancelled', { ride_request_id: cancelled.id, cancelled_by: 'system', reason: reason.trim() });
+      return notifyAvailableDrivers('ride_request.removed', { ride_request_id: cancelled.id, reason: 'cancelled' });
+    }
+    const event = { ride_id: cancelled.id, status: 'cancelled', cancelled_by: 'system', reason: reason.trim() };
+    notifyUser(cancelled.passenger_id, 'ride.status_changed', event);
+    notifyUser(cancelled.driver_id, 'ride.status_changed', event);
+  });
+});
+
+function forceCancelRide(admin, rideId, reason, done) {
+  db.get('SELECT * FROM Ride WHERE id = ? AND is_active = TRUE', [rideId], (err, ride) => {
+    if (err) {
+      console.error('Error fetching ride for cancellation:', err.message);
+      return done(err);
+    }
+    if (!ride) return done(httpError(400, 'No active ride found'));
+    db.run(
+      `UPDATE Ride SET status = 'cancelled', is_active = FALSE, cancel_reason = ?, cancelled_by = 'system', cancelled_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = ?`,
+      [reason, ride.id, ride.status],
+      function (err) {
+        if (err) {
+          console.error('Error cancelling ride:', err.message);
+          return done(err);
+        }
+        if (this.changes === 0) return done(httpError(409, 'Ride status changed, please retry'));
+        recordRideEvent({ ride_request_id: ride.ride_request_id, ride_id: ride.id, from_status: ride.status, to_status: 'cancelled' }, admin, (err) => {
+          if (err) {
+            console.error('Error recording ride event:', err.message);
+            return done(err);
+          }
+          releaseHold(ride.passenger_id, ride.ride_request_id, ride.id, (err) => {
+            if (err) return done(err);
+            recordAdminAction(admin, 'ride.force_cancel', 'Ride', ride.id, reason, { from_status: ride.status }, (err) => done(err, ride));
+          });
+        });
+      }
+    );
+  });
+}
+
+function forceCancelRideRequest(admin, rideRequestId, reason, done) {
+  db.get(`SELECT * FROM RideRequest WHERE id = ? AND status = 'requested' AND is_active = TRUE`, [rideRequestId], (err, rideRequest) => {
+    if (err) {
+      console.error('Error fetching ride request for cancellation:', err.message);
+      return done(err);
+    }
+    if (!rideRequest) return done(httpError(400, 'No open ride request found'));
+    db.run(
+      `UPDATE RideRequest SET status = 'cancelled', is_active = FALSE, cancel_reason = ?, cancelled_by = 'system', offered_driver_id = NULL, offer_expires_at = NULL
+       WHERE id = ? AND status = 'requested'`,
+      [reason, rideRequest.id],
+      function (err) {
+        if (err) {
+          console.error('Error cancelling ride request:', err.message);
+          return done(err);
+        }
+        if (this.changes === 0) return done(httpError(409, 'Ride request status changed, please retry'));
+        recordRideEvent({ ride_request_id: rideRequest.id, from_status: 'requested', to_status: 'cancelled' }, admin, (err) => {
+          if (err) {
+            console.error('Error recording ride event:', err.message);
+            return done(err);
+          }
+          releaseHold(rideRequest.passenger_id, rideRequest.id, null, (err) => {
+            if (err) return done(err);
+            recordAdminAction(admin, 'ride_request.force_cancel', 'RideRequest', rideRequest.id, reason, null, (err) => done(err, rideRequest));
+          });
+        });
+      }
+    );
+  });
+}
+
+//=========================== Admin Request to Adjust a Driver's Balance ===========================
+
+// Positive amounts credit the driver and negative amounts debit them; the platform's
+// revenue account takes the other side of the ledger transaction.
+app.post('/admin/users/:id/balance_adjustments', authenticate, requireAdmin, (req, res) => {
+  const { amount, reason } = req.body || {};
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || roundMoney(amount) === 0) {
+    return res.status(400).json({ error: 'Amount must be a non-zero number' });
+  }
+  if (!hasAdminReason(reason)) {
+    return res.status(400).json({ error: `A reason of at most ${MAX_ADMIN_REASON_LENGTH} characters is required` });
+  }
+  const adjustment = roundMoney(amount);
+  runTransaction((done) => {
+    db.get(`SELECT id, balance FROM User WHERE id = ? AND type = 'driver'`, [req.params.id], (err, driver) => {
+      if (err) {
+        console.error('Error fetching driver:', err.message);
+        return done(err);
+      }
+      if (!driver) return done(httpError(404, 'Driver not found'));
+      if (driver.balance + adjustment < 0) return done(httpError(400, `Adjustment would make the balance negative (balance is ${driver.balance})`));
+      postLedgerTransaction(
+        { type: 'adjustment', description: `Balance adjustment: ${reason.trim()}` },
+        [
+          { account: 'driver_balance', user_id: driver.id, amount: adjustment },
+          { account: 'platform_revenue', user_id: null, amount: -adjustment }
+        ],
+        (err, ledgerTransactionId) => {
+          if (err) return done(err);
+          const details = { amount: adjustment, ledger_transaction_id: ledgerTransactionId };
+          recordAdminAction(req.user, 'user.balance_adjustment', 'User', driver.id, reason.trim(), details, (err) => {
+            if (err) return done(err);
+            done(null, { balance: roundMoney(driver.balance + adjustment), ledger_transaction_id: ledgerTransactionId });
+          });
+        }
+      );
+    });
+  }, (err, result) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to adjust balance' });
+    res.json({ message: 'Balance adjusted', amount: adjustment, ...result });
+  });
+});
+
+//=========================== Admin Request to View the Audit Log ===========================
+
+app.get('/admin/audit_log', authenticate, requireAdmin, (req, res) => {
+  const { target_type, target_id } = req.query;
+  const conditions = [];
+  const params = [];
+  if (target_type) {
+    conditions.push('target_type = ?');
+    params.push(target_type);
+  }
+  if (target_id) {
+    conditions.push('target_id = ?');
+    params.push(target_id);
+  }
+  db.all(
+    `SELECT AdminAuditLog.*, User.name AS admin_name FROM AdminAuditLog JOIN User ON User.id = AdminAuditLog.admin_id
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY AdminAuditLog.id DESC LIMIT 200`,
+    params,
+    (err, entries) => {
+      if (err) {
+        console.error('Error fetching audit log:', err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      res.json(entries.map((entry) => ({ ...entry, details: entry.details ? JSON.parse(entry.details) : null })));
+    }
+  );
+});
+
+//=========================== Admin Request to Create a Promo Code ===========================
+
+app.post('/admin/promo_codes', authenticate, requireAdmin, (req, res) => {
+  const { code, discount_type, discount_value, max_discount, ride_types, expires_at, max_uses, max_uses_per_user } = req.body || {};
+  const isOptionalPositive = (value) => value === undefined || value === null || (typeof value === 'number' && value > 0);
+  const isOptionalCount = (value) => value === undefined || value === null || (Number.isInteger(value) && value > 0);
+  if (typeof code !== 'string' || !/^[A-Za-z0-9_-]{3,32}$/.test(code.trim())) {
+    return res.status(400).json({ error: 'code must be 3-32 letters, digits, dashes or underscores' });
+  }
+  if (!['percentage', 'flat'].includes(discount_type) || typeof discount_value !== 'number' || discount_value <= 0 ||
+    (discount_type === 'percentage' && discount_value > 100)) {
+    return res.status(400).json({ error: 'discount_type must be percentage (1-100) or flat, with a positive discount_value' });
+  }
+  if (!isOptionalPositive(max_discount) || !isOptionalCount(max_uses) || !isOptionalCount(max_uses_per_user)) {
+    return res.status(400).json({ error: 'max_discount, max_uses and max_uses_per_user must be positive numbers' });
+  }
+  if (ride_types !== undefined && ride_types !== null &&
+    (!Array.isArray(ride_types) || !ride_types.length || !ride_types.every((type) => FARE_RATES[type]))) {
+    return res.status(400).json({ error: `ride_types must be a list of: ${Object.keys(FARE_RATES).join(', ')}` });
+  }
+  const expiresAt = expires_at === undefined || expires_at === null ? null : new Date(expires_at);
+  if (expiresAt && (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+    return res.status(400).json({ error: 'expires_at must be a future ISO 8601 date-time' });
+  }
+  const promo = {
+    code: normalizePromoCode(code),
+    discount_type,
+    discount_value,
+    max_discount: max_discount || null,
+    ride_types: ride_types ? [...new Set(ride_types)].join(',') : null,
+    expires_at: expiresAt ? toSqlTimestamp(expiresAt) : null,
+    max_uses: max_uses || null,
+    max_uses_per_user: max_uses_per_user || 1
+  };
+  runTransaction((done) => {
+    db.run(
+      'INSERT INTO PromoCode (code, discount_type, discount_value, max_discount, ride_types, expires_at, max_uses, max_uses_per_user, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [promo.code, promo.discount_type, promo.discount_value, promo.max_discount, promo.ride_types, promo.expires_at, promo.max_uses, promo.max_uses_per_user, req.user.id],
+      function (err) {
+        if (err && err.code === 'SQLITE_CONSTRAINT') return done(httpError(400, 'A promo code with this code already exists'));
+        if (err) {
+          console.error('Error creating promo code:', err.message);
+          return done(err);
+        }
+        const promoCodeId = this.lastID;
+        recordAdminAction(req.user, 'promo_code.create', 'PromoCode', promoCodeId, null, promo, (err) => done(err, promoCodeId));
+      }
+    );
+  }, (err, promoCodeId) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to create promo code' });
+    res.status(201).json({ promo_code_id: promoCodeId, ...promo, ride_types: promo.ride_types ? promo.ride_types.split(',') : null });
+  });
+});
+
+//=========================== Admin Request to List Promo Codes ===========================
+
+app.get('/admin/promo_codes', authenticate, requireAdmin, (req, res) => {
+  db.all(
+    `SELECT PromoCode.*,
+       (SELECT COUNT(*) FROM PromoRedemption WHERE promo_code_id = PromoCode.id AND status != 'released') AS uses,
+       (SELECT COALESCE(SUM(discount), 0) FROM PromoRedemption WHERE promo_code_id = PromoCode.id AND status = 'redeemed') AS total_subsidy
+     FROM PromoCode ORDER BY id DESC`,
+    (err, promoCodes) => {
+      if (err) {
+        console.error('Error fetching promo codes:', err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      res.json(promoCodes.map((promo) => ({ ...promo, ride_types: promo.ride_types ? promo.ride_types.split(',') : null })));
+    }
+  );
+});
+
+//=========================== Admin Request to Deactivate a Promo Code ===========================
+
+// Requests that already applied the code keep their discount.
+app.post('/admin/promo_codes/:id/deactivate', authenticate, requireAdmin, (req, res) => {
+  const { reason } = req.body || {};
+  if (!hasAdminReason(reason)) {
+    return res.status(400).json({ error: `A reason of at most ${MAX_ADMIN_REASON_LENGTH} characters is required` });
+  }
+  runTransaction((done) => {
+    db.run('UPDATE PromoCode SET is_active = FALSE WHERE id = ? AND is_active = TRUE', [req.params.id], function (err) {
+      if (err) {
+        console.error('Error deactivating promo code:', err.message);
+        return done(err);
+      }
+      if (this.changes === 0) return done(httpError(400, 'No active promo code found'));
+      recordAdminAction(req.user, 'promo_code.deactivate', 'PromoCode', Number(req.params.id), reason.trim(), null, done);
+    });
+  }, (err) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to deactivate promo code' });
+    res.json({ message: 'Promo code deactivated' });
+  });
+});
+
+//=========================== Request to Register a Vehicle ===========================
+
+app.post('/users/vehicles', authenticate, (req, res) => {
+  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can register vehicles' });
+  const { type, plate, model, capacity } = req.body || {};
+  if (!['bike', 'car', 'rickshaw'].includes(type) || typeof plate !== 'string' || !plate.trim() ||
+    typeof model !== 'string' || !model.trim() || !Number.isInteger(capacity) || capacity <= 0) {
+    return res.status(400).json({ error: 'Invalid vehicle details' });
+  }
+  runTransaction((done) => {
+    db.run(
+      'INSERT INTO Vehicle (driver_id, type, plate, model, capacity) VALUES (?, ?, ?, ?, ?)',
+      [req.user.id, type, plate.trim().toUpperCase(), model.trim(), capacity],
+      function (err) {
+        if (err && err.code === 'SQLITE_CONSTRAINT') return done(httpError(400, 'A vehicle with this plate is already registered'));
+        if (err) {
+          console.error('Error registering vehicle:', err.message);
+          return done(err);
+        }
+        const vehicleId = this.lastID;
+        // A driver's first vehicle becomes the active one.
         db.run(
-          'UPDATE Ride SET status = "cancelled", is_active = FALSE WHERE id = ? AND passenger_id = ? AND status = "accepted"',
-          [req.params.id, req.user.id],
+          'UPDATE User SET active_vehicle_id = ? WHERE id = ? AND active_vehicle_id IS NULL',
+          [vehicleId, req.user.id],
           function (err) {
             if (err) {
-              console.error('Error cancelling ride:', err.message);
-              return res.status(500).json({ error: 'Database error' });
+              console.error('Error activating vehicle:', err.message);
+              return done(err);
             }
-            if (this.changes === 0) return res.status(400).json({ error: 'Cannot cancel ride' });
-            res.json({ message: 'Ride cancelled' });
+            done(null, { id: vehicleId, is_active: this.changes === 1 });
           }
         );
       }
+    );
+  }, (err, vehicle) => {
+    if (err) return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to register vehicle' });
+    res.status(201).json({ vehicle_id: vehicle.id, is_active: vehicle.is_active });
+  });
+});
+
+//=========================== Request to Get Driver Vehicles ===========================
+
+app.get('/users/vehicles', authenticate, (req, res) => {
+  if (req.user.type !== 'driver') return res.status(403).json({ error: 'Only drivers can view vehicles' });
+  db.all(
+    'SELECT id, type, plate, model, capacity, created_at, id = ? AS is_active FROM Vehicle WHERE driver_id = ? ORDER BY created_at, id',
+    [req.user.active_vehicle_id, req.user.id],
+    (err, vehicles) => {
+      if (err) {
+        console.error('Error fetching vehicles:', err.message);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      res.json(vehicles);
     }
   );
 });
 
-//=========================== Request to Get All Payment Records for Driver ===========================
+//=========================== Request to Select the Active Vehicle ===========================
 
-app.get('/users/payments', authenticateBasic, (req, res) => {
+app.put('/users/active_vehicle', authenticate, (req, res) => {
   if (req.user.type !== 'driver') 
-    return res.status(403).json({ error: 'Only drivers can view payment records' });
-  db.all(
-    'SELECT id, ride_id, amount, created_at FROM Payment WHERE driver_id = ? ORDER BY created_at DESC',
+    return res.status(403).json({ error: 'Only drivers can select a vehicle' });
+  const { vehicle_id } = req.body || {};
+  db.get(
+    'SELECT id FROM Ride WHERE driver_id = ? AND is_active = TRUE',
     [req.user.id],
-    (err, payments) => {
+    (err, activeRide) => {
       if (err) {
-        console.error('Error fetching payment records:', err.message);
+        console.error('Error checking active ride for vehicle change:', err.message);
         return res.status(500).json({ error: 'Database error' });
       }
-      res.json(payments);
+      if (activeRide) return res.status(400).json({ error: 'Cannot change vehicle during an active ride' });
+      runWrite(
+        'UPDATE User SET active_vehicle_id = ? WHERE id = ? AND EXISTS (SELECT 1 FROM Vehicle WHERE id = ? AND driver_id = ?)',
+        [vehicle_id, req.user.id, vehicle_id, req.user.id],
+        function (err) {
+          if (err) {
+            console.error('Error selecting vehicle:', err.message);
+            return res.status(500).json({ error: 'Failed to select vehicle' });
+          }
+          if (this.changes === 0) return res.status(404).json({ error: 'Vehicle not found' });
+          res.json({ message: 'Active vehicle updated' });
+        }
+      );
     }
   );
 });
 
 //=========================== Request to Update Driver Availability ===========================
 
-app.put('/users/availability', authenticateBasic, (req, res) => {
+app.put('/users/availability', authenticate, (req, res) => {
   if (req.user.type !== 'driver') 
     return res.status(403).json({ error: 'Only drivers can update availability' });
   const { is_available } = req.body;
-  db.run(
-    'UPDATE User SET is_available = ? WHERE id = ?',
-    [is_available, req.user.id],
+  runTransaction((done) => {
+    db.get('SELECT is_available FROM User WHERE id = ?', [req.user.id], (err, current) => {
+      if (err) {
+        console.error('Error fetching availability:', err.message);
+        return done(err);
+      }
+      db.run(
+        'UPDATE User SET is_available = ? WHERE id = ?',
+        [is_available, req.user.id],
+        (err) => {
+          if (err) {
+            console.error('Error updating availability:', err.message);
+            return done(err);
+          }
+          // Only actual changes are logged, so repeated toggles don't split online time.
+          if (Boolean(current.is_available) === Boolean(is_available)) return done(null);
+          logAvailability(req.user.id, Boolean(is_available), done);
+        }
+      );
+    });
+  }, (err) => {
+    if (err) return res.status(500).json({ error: 'Failed to update availability' });
+    res.json({ message: 'Availability updated' });
+  });
+});
+
+// Every switch between online and offline is logged for the online hours in earnings reports.
+function logAvailability(driverId, isAvailable, callback) {
+  db.run('INSERT INTO AvailabilityLog (driver_id, is_available) VALUES (?, ?)', [driverId, isAvailable], (err) => {
+    if (err) console.error('Error logging availability change:', err.message);
+    callback(err);
+  });
+}
+
+//=========================== Request to Update Driver Location ===========================
+
+app.put('/users/location', authenticate, (req, res) => {
+  if (req.user.type !== 'driver') 
+    return res.status(403).json({ error: 'Only drivers can update location' });
+  const { lat, lng } = req.body;
+  if (!isValidCoordinate(lat, lng)) {
+    return res.status(400).json({ error: 'lat and lng must be valid coordinates' });
+  }
+  runWrite(
+    'UPDATE User SET current_lat = ?, current_lng = ?, location_updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [lat, lng, req.user.id],
     (err) => {
       if (err) {
-        console.error('Error updating availability:', err.message);
-        return res.status(500).json({ error: 'Failed to update availability' });
+        console.error('Error updating location:', err.message);
+        return res.status(500).json({ error: 'Failed to update location' });
       }
-      res.json({ message: 'Availability updated' });
+      res.json({ message: 'Location updated' });
     }
   );
 });
 
-app.listen(3000, () => console.log('Server running on port 3000'));
\ No newline at end of file
+//=========================== Request to Subscribe to Real-time Events ===========================
+
+// EventSource cannot set headers, so the stream also accepts ?access_token=.
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+app.get('/events', acceptQueryToken, authenticate, (req, res) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+  const userId = req.user.id;
+  const client = { res };
+  if (!eventClients.has(userId)) eventClients.set(userId, new Set());
+  eventClients.get(userId).add(client);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const clients = eventClients.get(userId);
+    clients.delete(client);
+    if (clients.size === 0) eventClients.delete(userId);
+  });
+});
+
+// Creates the ADMIN_EMAIL account on first boot. An existing account with that email is left alone.
+function ensureAdminAccount(callback) {
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return callback(null);
+  db.get('SELECT id, type FROM User WHERE email = ?', [ADMIN_EMAIL], (err, user) => {
+    if (err) return callback(err);
+    if (user) {
+      if (user.type !== 'admin') console.warn(`ADMIN_EMAIL ${ADMIN_EMAIL} belongs to a ${user.type} account; no admin created`);
+      return callback(null);
+    }
+    bcrypt.hash(ADMIN_PASSWORD, SALT_ROUNDS, (err, hash) => {
+      if (err) return callback(err);
+      runWrite(
+        'INSERT INTO User (name, email, password, type, is_available, balance) VALUES (?, ?, ?, ?, ?, ?)',
+        ['Admin', ADMIN_EMAIL, hash, 'admin', null, 0.0],
+        (err) => {
+          if (!err) console.log(`Created admin account ${ADMIN_EMAIL}`);
+          callback(err);
+        }
+      );
+    });
+  });
+}
+
+migrate(db, (err) => {
+  if (err) {
+    console.error('Error migrating database:', err.message);
+    process.exit(1);
+  }
+  ensureAdminAccount((err) => {
+    if (err) {
+      console.error('Error creating admin account:', err.message);
+      process.exit(1);
+    }
+    app.listen(3000, () => console.log('Server running on port 3000'));
+    setInterval(runBackgroundSweep, BACKGROUND_SWEEP_MS);
+  });
+});
\ No newline at end of file